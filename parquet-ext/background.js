@@ -1,34 +1,39 @@
-// Track which tab initiated each .parquet navigation (DownloadItem has no tabId)
-const pendingParquetTabs = new Map();
+import { VIEWABLE_URL_PATTERN } from './viewer-utils.js';
+
+// Files the viewer opens (same extensions as the formats it reads)
+const VIEWABLE_URL = new RegExp(VIEWABLE_URL_PATTERN, 'i');
+
+// Track which tab initiated each data file navigation (DownloadItem has no tabId)
+const pendingTabs = new Map();
 
 function getViewerUrl(fileUrl) {
   return chrome.runtime.getURL('viewer.html') + '?url=' + encodeURIComponent(fileUrl);
 }
 
-// Layer 1: Redirect .parquet navigations to the viewer
+// Layer 1: Redirect data file navigations to the viewer
 chrome.webNavigation.onBeforeNavigate.addListener((details) => {
   if (details.frameId !== 0) return;
-  if (!/\.parquet([?#]|$)/i.test(details.url)) return;
+  if (!VIEWABLE_URL.test(details.url)) return;
 
-  pendingParquetTabs.set(details.url, details.tabId);
-  setTimeout(() => pendingParquetTabs.delete(details.url), 30000);
+  pendingTabs.set(details.url, details.tabId);
+  setTimeout(() => pendingTabs.delete(details.url), 30000);
 
   chrome.tabs.update(details.tabId, { url: getViewerUrl(details.url) });
 });
 
-// Layer 2: Catch .parquet downloads that slip past declarativeNetRequest
+// Layer 2: Catch data file downloads that slip past declarativeNetRequest
 // (server sends Content-Disposition: attachment before redirect takes effect)
 chrome.downloads.onCreated.addListener((downloadItem) => {
   const url = downloadItem.url || downloadItem.finalUrl;
-  if (!url || !/\.parquet([?#]|$)/i.test(url)) return;
+  if (!url || !VIEWABLE_URL.test(url)) return;
 
   chrome.downloads.cancel(downloadItem.id, () => {
     chrome.downloads.erase({ id: downloadItem.id });
   });
 
   const viewerUrl = getViewerUrl(url);
-  const tabId = pendingParquetTabs.get(url);
-  pendingParquetTabs.delete(url);
+  const tabId = pendingTabs.get(url);
+  pendingTabs.delete(url);
 
   if (tabId) {
     chrome.tabs.update(tabId, { url: viewerUrl });
@@ -15,6 +15,141 @@ export function escapeSource(source) {
   return source.replace(/'/g, "''");
 }
 
+// === Input formats ===
+
+// Table function reading each format. Arrow IPC has none in DuckDB-wasm, so
+// its bytes are inserted into a table instead (reader: null).
+export const INPUT_FORMATS = {
+  parquet: { label: 'Parquet', reader: 'read_parquet', extensions: ['parquet', 'pq'] },
+  csv: { label: 'CSV', reader: 'read_csv_auto', extensions: ['csv', 'tsv'], compressible: true },
+  json: { label: 'JSON', reader: 'read_json_auto', extensions: ['json', 'ndjson', 'jsonl'], compressible: true },
+  arrow: { label: 'Arrow IPC', reader: null, extensions: ['arrow', 'feather', 'arrows', 'ipc'] }
+};
+
+const COMPRESSION_EXTENSIONS = ['gz', 'zst'];
+
+// URLs the extension opens in the viewer instead of downloading, built from
+// the format extensions above. Plain .json is left alone: browsers already
+// render it and most .json URLs are API responses, not datasets. rules.json
+// repeats this pattern (static rules can't import it); a test keeps them equal.
+export const VIEWABLE_URL_PATTERN = (() => {
+  const plain = [];
+  const compressible = [];
+  for (const format of Object.values(INPUT_FORMATS)) {
+    const extensions = format.extensions.filter(ext => ext !== 'json');
+    (format.compressible ? compressible : plain).push(...extensions);
+  }
+  return `\\.(${plain.join('|')}|(${compressible.join('|')})(\\.(${COMPRESSION_EXTENSIONS.join('|')}))?)([?#]|$)`;
+})();
+
+// Format implied by a file name or URL (`data.csv.gz` -> 'csv'), or null
+export function formatFromName(name) {
+  const parts = name.split(/[?#]/)[0].split('/').pop().toLowerCase().split('.').slice(1);
+  let ext = parts.pop();
+  const compressed = COMPRESSION_EXTENSIONS.includes(ext);
+  if (compressed) ext = parts.pop();
+  const match = Object.entries(INPUT_FORMATS).find(([_, spec]) => spec.extensions.includes(ext));
+  if (!match || (compressed && !match[1].compressible)) return null;
+  return match[0];
+}
+
+const startsWithAscii = (bytes, text) =>
+  bytes.length >= text.length && [...text].every((ch, i) => bytes[i] === ch.charCodeAt(0));
+
+// Format implied by the first bytes of a file, or null. Parquet and Arrow have
+// magic numbers; text is JSON if it opens with { or [, and CSV otherwise.
+export function formatFromBytes(bytes) {
+  if (!bytes || bytes.length === 0) return null;
+  if (startsWithAscii(bytes, 'PAR1')) return 'parquet';
+  if (startsWithAscii(bytes, 'ARROW1')) return 'arrow';
+  if (bytes[0] === 0xff && bytes[1] === 0xff && bytes[2] === 0xff && bytes[3] === 0xff) return 'arrow'; // IPC stream
+  const isText = bytes.every(b => b >= 0x20 || b === 0x09 || b === 0x0a || b === 0x0d);
+  if (!isText) return null;
+  const first = String.fromCharCode(...bytes).replace(/^\xEF\xBB\xBF/, '').trimStart()[0];
+  if (first === undefined) return null;
+  return first === '{' || first === '[' ? 'json' : 'csv';
+}
+
+// Magic numbers are authoritative; otherwise trust the extension, then fall
+// back to sniffing text
+export function detectFormat(name, bytes = null) {
+  const sniffed = formatFromBytes(bytes);
+  if (sniffed === 'parquet' || sniffed === 'arrow') return sniffed;
+  return formatFromName(name) ?? sniffed;
+}
+
+// The IPC stream inside an Arrow IPC file: the file format is the stream
+// framed by a magic/padding header and a footer (flatbuffer, int32 length,
+// magic). Streams are returned as-is.
+export function arrowIpcStream(bytes) {
+  if (!startsWithAscii(bytes, 'ARROW1') || bytes.length < 18) return bytes;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const footerLength = view.getInt32(bytes.length - 10, true);
+  return bytes.subarray(8, bytes.length - 10 - footerLength);
+}
+
+// FROM-clause relation for a source: a single path/URL, or a list of files
+// read together as one hive-partitioned dataset
+export function sourceRelation(source, format = 'parquet', { filename = false } = {}) {
+  const reader = INPUT_FORMATS[format]?.reader;
+  if (!reader) throw new Error(`No table function reads ${format} sources`);
+  const extra = filename ? ', filename = true' : '';
+  if (Array.isArray(source)) {
+    const list = source.map(s => `'${escapeSource(s)}'`).join(', ');
+    return `${reader}([${list}], hive_partitioning = true, union_by_name = true${extra})`;
+  }
+  return `${reader}('${escapeSource(source)}'${extra})`;
+}
+
+export function parquetRelation(source, options) {
+  return sourceRelation(source, 'parquet', options);
+}
+
+// Directory shared by all paths ('' if none), e.g. 'sales' for
+// ['sales/year=2024/a.parquet', 'sales/year=2023/b.parquet']
+export function commonDirectory(paths) {
+  if (paths.length === 0) return '';
+  const dirs = paths.map(p => p.split('/').slice(0, -1));
+  const common = [];
+  for (let i = 0; i < dirs[0].length; i++) {
+    if (!dirs.every(d => d[i] === dirs[0][i])) break;
+    common.push(dirs[0][i]);
+  }
+  return common.join('/');
+}
+
+// Short display name for a source
+export function sourceLabel(source) {
+  if (Array.isArray(source)) {
+    const root = commonDirectory(source).split('/').pop();
+    return `${root || 'dataset'} (${source.length} files)`;
+  }
+  return source.split('/').pop().split('?')[0];
+}
+
+// Hive partition keys encoded in paths (`year=2024/month=01/...`)
+export function hivePartitionKeys(paths) {
+  const keys = new Set();
+  for (const path of paths) {
+    for (const segment of path.split('/').slice(0, -1)) {
+      const match = segment.match(/^([^=]+)=/);
+      if (match) keys.add(match[1]);
+    }
+  }
+  return [...keys];
+}
+
+// Remove trailing semicolons (and whitespace) so a statement can be nested
+export function stripSqlTerminator(sql) {
+  return sql.trim().replace(/[\s;]+$/, '');
+}
+
+// FROM-clause relation for a user query. Newlines keep a trailing
+// `-- comment` from swallowing the closing parenthesis.
+export function queryRelation(sql) {
+  return `(\n${stripSqlTerminator(sql)}\n) AS q`;
+}
+
 export function escapeLikePattern(str) {
   return str
     .replace(/\\/g, '\\\\')
@@ -31,6 +166,14 @@ export function truncateColumnName(name, maxLen = 30) {
   return name.slice(0, maxLen - 1) + '\u2026';
 }
 
+export function isNumericType(type) {
+  return /^(INTEGER|BIGINT|DOUBLE|FLOAT|DECIMAL|NUMERIC|REAL|SMALLINT|TINYINT)/i.test(type);
+}
+
+export function isTemporalType(type) {
+  return /^(DATE|TIMESTAMP|TIME)/i.test(type);
+}
+
 export function buildFilterClauses(filterMap, colMeta) {
   return Object.entries(filterMap)
     .filter(([_, val]) => {
@@ -75,3 +218,1567 @@ export function buildFilterClauses(filterMap, colMeta) {
     })
     .filter(Boolean);
 }
+
+// === Filter builder expressions ===
+// A filter tree is a group { type: 'group', op: 'AND' | 'OR', items } whose
+// items are conditions { type: 'condition', column, operator, value } or
+// nested groups. `value` is a string, [min, max] for between, or a list of
+// strings for IN; null/empty operators take no value.
+
+export const FILTER_OPERATORS = {
+  eq: { label: '=', arity: 1 },
+  ne: { label: '≠', arity: 1 },
+  lt: { label: '<', arity: 1, ordered: true },
+  lte: { label: '≤', arity: 1, ordered: true },
+  gt: { label: '>', arity: 1, ordered: true },
+  gte: { label: '≥', arity: 1, ordered: true },
+  between: { label: 'between', arity: 2, ordered: true },
+  contains: { label: 'contains', arity: 1, text: true },
+  not_contains: { label: 'does not contain', arity: 1, text: true },
+  starts_with: { label: 'starts with', arity: 1, text: true },
+  ends_with: { label: 'ends with', arity: 1, text: true },
+  regex: { label: 'matches regex', arity: 1, text: true },
+  in: { label: 'is one of', arity: 'list' },
+  not_in: { label: 'is not one of', arity: 'list' },
+  is_null: { label: 'is null', arity: 0 },
+  not_null: { label: 'is not null', arity: 0 }
+};
+
+// Operator keys that make sense for a column type. Text operators work on
+// any scalar (they compare its VARCHAR form); nested values only test NULL.
+export function filterOperatorsFor(type) {
+  if (isNestedType(type)) return ['is_null', 'not_null'];
+  return Object.keys(FILTER_OPERATORS).filter(op => {
+    const spec = FILTER_OPERATORS[op];
+    if (spec.ordered) return isNumericType(type) || isTemporalType(type);
+    if (/^BOOLEAN/i.test(type)) return !spec.text && spec.arity !== 'list';
+    return true;
+  });
+}
+
+export function emptyFilterGroup(op = 'AND') {
+  return { type: 'group', op, items: [] };
+}
+
+// SQL literal for a user-entered value compared against a column of `type`,
+// or null if the value can't be a literal of that type
+function filterLiteral(value, type) {
+  if (typeof value !== 'string') return null;
+  const v = value.trim();
+  if (v === '') return null;
+  if (isNumericType(type)) return NUMBER_RE.test(v) ? v : null;
+  if (/^BOOLEAN/i.test(type)) return /^(true|false)$/i.test(v) ? v.toUpperCase() : null;
+  return `'${v.replace(/'/g, "''")}'`;
+}
+
+function compileCondition(cond, colMeta) {
+  const spec = FILTER_OPERATORS[cond.operator];
+  const meta = colMeta[cond.column];
+  if (!spec || !meta || !filterOperatorsFor(meta.type || '').includes(cond.operator)) return null;
+
+  const col = escapeColumnName(cond.column);
+  const text = `CAST(${col} AS VARCHAR)`;
+  const pattern = (prefix, suffix) => {
+    if (typeof cond.value !== 'string' || cond.value === '') return null;
+    return `'${prefix}${escapeLikePattern(cond.value.replace(/'/g, "''"))}${suffix}' ESCAPE '\\'`;
+  };
+  const literal = () => filterLiteral(cond.value, meta.type || '');
+  const compare = (sqlOp) => {
+    const lit = literal();
+    return lit === null ? null : `${col} ${sqlOp} ${lit}`;
+  };
+  const ilike = (negate, prefix, suffix) => {
+    const pat = pattern(prefix, suffix);
+    return pat === null ? null : `${text} ${negate ? 'NOT ILIKE' : 'ILIKE'} ${pat}`;
+  };
+
+  switch (cond.operator) {
+    case 'eq': return compare('=');
+    case 'ne': return compare('<>');
+    case 'lt': return compare('<');
+    case 'lte': return compare('<=');
+    case 'gt': return compare('>');
+    case 'gte': return compare('>=');
+    case 'between': {
+      if (!Array.isArray(cond.value)) return null;
+      const [lo, hi] = cond.value.map(v => filterLiteral(v, meta.type || ''));
+      return lo === null || hi === null ? null : `${col} BETWEEN ${lo} AND ${hi}`;
+    }
+    case 'contains': return ilike(false, '%', '%');
+    case 'not_contains': return ilike(true, '%', '%');
+    case 'starts_with': return ilike(false, '', '%');
+    case 'ends_with': return ilike(false, '%', '');
+    case 'regex':
+      if (typeof cond.value !== 'string' || cond.value === '') return null;
+      return `regexp_matches(${text}, '${cond.value.replace(/'/g, "''")}')`;
+    case 'in':
+    case 'not_in': {
+      if (!Array.isArray(cond.value)) return null;
+      const lits = cond.value.map(v => filterLiteral(v, meta.type || ''));
+      if (lits.length === 0 || lits.includes(null)) return null;
+      return `${col} ${cond.operator === 'in' ? 'IN' : 'NOT IN'} (${lits.join(', ')})`;
+    }
+    case 'is_null': return `${col} IS NULL`;
+    case 'not_null': return `${col} IS NOT NULL`;
+  }
+  return null;
+}
+
+// SQL boolean expression for a filter tree, or null if it has no complete
+// conditions. Incomplete or invalid conditions are skipped, like empty
+// header filters.
+export function compileFilterTree(node, colMeta) {
+  if (!node || typeof node !== 'object') return null;
+  if (node.type === 'condition') return compileCondition(node, colMeta);
+  if (node.type !== 'group' || !Array.isArray(node.items)) return null;
+  const parts = node.items.map(item => compileFilterTree(item, colMeta)).filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return `(${parts.join(node.op === 'OR' ? ' OR ' : ' AND ')})`;
+}
+
+// Number of conditions in a tree (complete or not)
+export function countFilterConditions(node) {
+  if (!node || typeof node !== 'object') return 0;
+  if (node.type === 'condition') return 1;
+  return Array.isArray(node.items) ? node.items.reduce((n, item) => n + countFilterConditions(item), 0) : 0;
+}
+
+// Rebuild a filter tree from untrusted input (a shared link) or after columns
+// change: keeps only well-formed nodes on known columns. Returns null if
+// nothing is left.
+const MAX_FILTER_DEPTH = 4;
+export function validateFilterTree(raw, names, depth = 0) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  if (raw.type === 'condition') {
+    const spec = FILTER_OPERATORS[raw.operator];
+    if (!spec || typeof raw.column !== 'string' || !names.has(raw.column)) return null;
+    const cond = { type: 'condition', column: raw.column, operator: raw.operator };
+    if (spec.arity === 1) {
+      cond.value = typeof raw.value === 'string' ? raw.value : '';
+    } else if (spec.arity === 2) {
+      const [lo, hi] = Array.isArray(raw.value) ? raw.value : [];
+      cond.value = [typeof lo === 'string' ? lo : '', typeof hi === 'string' ? hi : ''];
+    } else if (spec.arity === 'list') {
+      cond.value = Array.isArray(raw.value) ? raw.value.filter(v => typeof v === 'string') : [];
+    }
+    return cond;
+  }
+  if (raw.type !== 'group' || !Array.isArray(raw.items) || depth >= MAX_FILTER_DEPTH) return null;
+  const items = raw.items.map(item => validateFilterTree(item, names, depth + 1)).filter(Boolean);
+  if (items.length === 0 && depth > 0) return null;
+  return { type: 'group', op: raw.op === 'OR' ? 'OR' : 'AND', items };
+}
+
+// WHERE clause (with leading space) for the active filters, or ''
+export function buildWhereClause(filterMap, colMeta, filterTree = null, search = null) {
+  const clauses = buildFilterClauses(filterMap, colMeta);
+  const tree = compileFilterTree(filterTree, colMeta);
+  if (tree) clauses.push(tree);
+  const searchClause = search ? buildSearchClause(search.text, search.cols) : null;
+  if (searchClause) clauses.push(searchClause);
+  return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+}
+
+// === Global search ===
+// One search box matches a substring in any column; `search` arguments are
+// { text, cols } with the columns to look in.
+
+// BLOBs are binary, so their text form isn't searched
+function isSearchableType(type) {
+  return !/^(BLOB|BYTEA|BINARY|VARBINARY)\b/i.test(type);
+}
+
+// Case-insensitive match of `text` in any column's text form, as one OR
+// clause (null for blank text)
+export function buildSearchClause(text, cols) {
+  const term = typeof text === 'string' ? text.trim() : '';
+  if (!term) return null;
+  const pattern = `'%${escapeLikePattern(term.replace(/'/g, "''"))}%'`;
+  const predicates = cols
+    .filter(c => isSearchableType(c.type))
+    .map(c => `CAST(${escapeColumnName(c.name)} AS VARCHAR) ILIKE ${pattern} ESCAPE '\\'`);
+  return predicates.length > 0 ? `(${predicates.join(' OR ')})` : 'FALSE';
+}
+
+// Escaped HTML of `text` with case-insensitive matches of `term` in <mark>
+export function highlightMatches(text, term) {
+  const needle = typeof term === 'string' ? term.trim() : '';
+  if (!needle) return escapeHtml(text);
+  const re = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(re)) {
+    html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+// Whether a displayed value contains the search term
+export function matchesSearch(text, term) {
+  const needle = typeof term === 'string' ? term.trim().toLowerCase() : '';
+  return needle !== '' && text.toLowerCase().includes(needle);
+}
+
+// === Sort stack ===
+// The grid sort is a list of { col, dir, nulls } keys, most significant first.
+
+// Sort stack after a header click. A plain click sorts by that column alone
+// (toggling its direction if it already was the only key). Shift-click adds
+// it as the next key, or cycles an existing key ASC -> DESC -> removed.
+export function nextSortStack(stack, col, append = false) {
+  const existing = stack.find(key => key.col === col);
+  if (!append) {
+    if (existing && stack.length === 1) return [{ ...existing, dir: existing.dir === 'ASC' ? 'DESC' : 'ASC' }];
+    return [{ col, dir: 'ASC', nulls: 'LAST' }];
+  }
+  if (!existing) return [...stack, { col, dir: 'ASC', nulls: 'LAST' }];
+  if (existing.dir === 'ASC') return stack.map(key => key === existing ? { ...key, dir: 'DESC' } : key);
+  return stack.filter(key => key !== existing);
+}
+
+// Flip whether NULLs of one key sort first or last
+export function toggleSortNulls(stack, col) {
+  return stack.map(key => key.col === col ? { ...key, nulls: key.nulls === 'FIRST' ? 'LAST' : 'FIRST' } : key);
+}
+
+// Keep well-formed keys for known columns, each column once
+export function validateSortStack(raw, names) {
+  if (!Array.isArray(raw)) return [];
+  const stack = [];
+  for (const key of raw) {
+    if (!key || typeof key.col !== 'string' || !names.has(key.col)) continue;
+    if (stack.some(k => k.col === key.col)) continue;
+    stack.push({ col: key.col, dir: key.dir === 'DESC' ? 'DESC' : 'ASC', nulls: key.nulls === 'FIRST' ? 'FIRST' : 'LAST' });
+  }
+  return stack;
+}
+
+// ORDER BY clause (with leading space) for the sort stack, or ''
+export function buildOrderByClause(sortStack) {
+  if (!sortStack || sortStack.length === 0) return '';
+  return ' ORDER BY ' + sortStack.map(key =>
+    `${escapeColumnName(key.col)} ${key.dir === 'DESC' ? 'DESC' : 'ASC'} NULLS ${key.nulls === 'FIRST' ? 'FIRST' : 'LAST'}`
+  ).join(', ');
+}
+
+// Full filtered/sorted SELECT for the grid, without LIMIT/OFFSET
+export function buildViewQuery(relation, cols, { sort = [], filterMap = {}, filterTree = null, colMeta = {}, search = null } = {}) {
+  const colList = cols.map(c => escapeColumnName(c.name)).join(', ');
+  return `SELECT ${colList} FROM ${relation}` +
+    buildWhereClause(filterMap, colMeta, filterTree, search) +
+    buildOrderByClause(sort);
+}
+
+// Formats for exporting the current view via COPY ... TO
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', options: 'FORMAT CSV, HEADER' },
+  ndjson: { label: 'NDJSON', extension: 'ndjson', mime: 'application/x-ndjson', options: 'FORMAT JSON' },
+  parquet: { label: 'Parquet', extension: 'parquet', mime: 'application/vnd.apache.parquet', options: 'FORMAT PARQUET' }
+};
+
+export function buildCopyQuery(selectQuery, fileName, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  return `COPY (${selectQuery}) TO '${escapeSource(fileName)}' (${spec.options})`;
+}
+
+export function hasActiveFilters(filterMap, filterTree = null, colMeta = {}, search = null) {
+  return Object.values(filterMap).some(v => {
+    if (v && typeof v === 'object') return v.min !== '' || v.max !== '';
+    return v && v.trim && v.trim();
+  }) || compileFilterTree(filterTree, colMeta) !== null ||
+    (search != null && buildSearchClause(search.text, search.cols) !== null);
+}
+
+// Browsers cap element height (~33M px in Chrome), so very tall tables
+// are scaled: scrollTop maps proportionally onto the row range.
+export const MAX_SCROLL_HEIGHT = 10_000_000;
+
+// Compute which rows of a virtualized table to render for a scroll position.
+// Returns the [start, end) row range plus spacer heights above and below it.
+export function computeWindow({ scrollTop, viewportHeight, rowHeight, totalRows, overscan = 10, maxScrollHeight = MAX_SCROLL_HEIGHT }) {
+  if (totalRows <= 0 || rowHeight <= 0) {
+    return { first: 0, start: 0, end: 0, topPad: 0, bottomPad: 0 };
+  }
+
+  const fullHeight = totalRows * rowHeight;
+  const scrollHeight = Math.min(fullHeight, maxScrollHeight);
+  const visible = Math.ceil(viewportHeight / rowHeight) + 1;
+  const top = Math.max(0, scrollTop);
+
+  // Fractional index of the first visible row
+  let exact;
+  if (fullHeight <= maxScrollHeight) {
+    exact = top / rowHeight;
+  } else {
+    const maxScroll = Math.max(scrollHeight - viewportHeight, 1);
+    exact = Math.min(top / maxScroll, 1) * Math.max(totalRows - visible + 1, 0);
+  }
+  const firstVisible = Math.min(Math.floor(exact), totalRows - 1);
+
+  const start = Math.max(0, firstVisible - overscan);
+  const end = Math.min(totalRows, firstVisible + visible + overscan);
+  const topPad = fullHeight <= maxScrollHeight
+    ? start * rowHeight
+    : Math.max(0, top - (exact - start) * rowHeight);
+  const bottomPad = Math.max(0, scrollHeight - topPad - (end - start) * rowHeight);
+
+  return { first: firstVisible, start, end, topPad, bottomPad };
+}
+
+// Inverse of computeWindow: the scrollTop that puts `row` at the top
+export function scrollTopForRow(row, { viewportHeight, rowHeight, totalRows, maxScrollHeight = MAX_SCROLL_HEIGHT }) {
+  const fullHeight = totalRows * rowHeight;
+  if (fullHeight <= maxScrollHeight) return row * rowHeight;
+  const visible = Math.ceil(viewportHeight / rowHeight) + 1;
+  const maxScroll = Math.max(maxScrollHeight - viewportHeight, 1);
+  return Math.min(row / Math.max(totalRows - visible + 1, 1), 1) * maxScroll;
+}
+
+// Horizontal counterpart of computeWindow for fixed-width columns: the range
+// of scrollable columns to render and the spacer widths around it. Columns
+// left of them (row numbers, pinned columns) take up `fixedWidth` and stay
+// in view, so they shrink the visible area.
+export function computeColumnWindow({ scrollLeft, viewportWidth, colWidth, totalCols, fixedWidth = 0, overscan = 2 }) {
+  if (totalCols <= 0 || colWidth <= 0) return { start: 0, end: 0, leftPad: 0, rightPad: 0 };
+  const visible = Math.ceil(Math.max(viewportWidth - fixedWidth, colWidth) / colWidth) + 1;
+  const first = Math.min(Math.floor(Math.max(0, scrollLeft) / colWidth), totalCols - 1);
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(totalCols, first + visible + overscan);
+  return { start, end, leftPad: start * colWidth, rightPad: (totalCols - end) * colWidth };
+}
+
+// Page indexes (LIMIT/OFFSET pages of pageSize rows) covering rows [start, end)
+export function pagesForRange(start, end, pageSize) {
+  if (end <= start) return [];
+  const pages = [];
+  const last = Math.floor((end - 1) / pageSize);
+  for (let p = Math.floor(start / pageSize); p <= last; p++) pages.push(p);
+  return pages;
+}
+
+// === Shareable view state (viewer.html?url=...#sort=...&filters=...) ===
+
+export function serializeViewState({ sort = [], filterMap = {}, filterTree = null, search = '', cols = null, pinned = [], computed = [], row = 0 } = {}) {
+  const params = new URLSearchParams();
+  if (sort.length > 0) params.set('sort', JSON.stringify(sort));
+  const active = Object.fromEntries(
+    Object.entries(filterMap).filter(([col, val]) => hasActiveFilters({ [col]: val }))
+  );
+  if (Object.keys(active).length > 0) params.set('filters', JSON.stringify(active));
+  if (countFilterConditions(filterTree) > 0) params.set('where', JSON.stringify(filterTree));
+  if (search.trim()) params.set('q', search);
+  if (cols) params.set('cols', JSON.stringify(cols));
+  if (pinned.length > 0) params.set('pin', JSON.stringify(pinned));
+  if (computed.length > 0) params.set('computed', JSON.stringify(computed.map(({ name, expr }) => ({ name, expr }))));
+  if (row > 0) params.set('row', String(row));
+  return params.toString();
+}
+
+// Parse a location.hash into raw (unvalidated) view state
+export function parseViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const parseJson = (key) => {
+    try {
+      return JSON.parse(params.get(key));
+    } catch (e) {
+      return null;
+    }
+  };
+  // Older links carry a single sort=<column>&dir=<ASC|DESC>
+  let sort = parseJson('sort');
+  if (!Array.isArray(sort)) {
+    sort = params.get('sort') ? [{ col: params.get('sort'), dir: params.get('dir') }] : null;
+  }
+  return {
+    sort,
+    filterMap: parseJson('filters'),
+    filterTree: parseJson('where'),
+    search: params.get('q'),
+    cols: parseJson('cols'),
+    pinned: parseJson('pin'),
+    computed: params.has('computed') ? linkComputedColumns(parseJson('computed')) : null,
+    row: params.get('row')
+  };
+}
+
+// Columns to display: the requested names that exist in the schema (in the
+// requested order), or the first maxCols columns by default
+export function selectColumns(allCols, names, maxCols = Infinity) {
+  if (!Array.isArray(names)) return allCols.slice(0, maxCols);
+  const byName = new Map(allCols.map(c => [c.name, c]));
+  const picked = [...new Set(names)].filter(n => typeof n === 'string' && byName.has(n)).map(n => byName.get(n));
+  return picked.length > 0 ? picked.slice(0, maxCols) : allCols.slice(0, maxCols);
+}
+
+const NUMBER_RE = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Keep only state that matches the loaded columns. Links are untrusted, so each
+// filter must have the shape its column's filter widget would produce.
+export function validateViewState(raw, cols, colMeta) {
+  const names = new Set(cols.map(c => c.name));
+  const state = { sort: validateSortStack(raw.sort, names), filterMap: {}, filterTree: null, search: '', pinned: [], row: 0 };
+
+  const filterMap = raw.filterMap && typeof raw.filterMap === 'object' && !Array.isArray(raw.filterMap)
+    ? raw.filterMap
+    : {};
+  for (const [col, val] of Object.entries(filterMap)) {
+    const meta = colMeta[col];
+    if (!names.has(col) || !meta) continue;
+    if (meta.filterType === 'range' || meta.filterType === 'date') {
+      if (!val || typeof val !== 'object') continue;
+      const re = meta.filterType === 'range' ? NUMBER_RE : DATE_RE;
+      const bound = (v) => (typeof v === 'string' && re.test(v) ? v : '');
+      const range = { min: bound(val.min), max: bound(val.max) };
+      if (range.min !== '' || range.max !== '') state.filterMap[col] = range;
+    } else if (meta.filterType === 'select') {
+      if (typeof val === 'string' && (meta.values || []).some(v => String(v) === val)) {
+        state.filterMap[col] = val;
+      }
+    } else if (typeof val === 'string' && val.trim()) {
+      state.filterMap[col] = val;
+    }
+  }
+
+  if (Array.isArray(raw.pinned)) {
+    state.pinned = [...new Set(raw.pinned.filter(n => typeof n === 'string' && names.has(n)))];
+  }
+
+  state.filterTree = validateFilterTree(raw.filterTree, names);
+  if (countFilterConditions(state.filterTree) === 0) state.filterTree = null;
+
+  if (typeof raw.search === 'string' && raw.search.trim()) state.search = raw.search;
+
+  const row = Number(raw.row);
+  if (Number.isSafeInteger(row) && row > 0) state.row = row;
+
+  return state;
+}
+
+// === Recent files ===
+
+export const HISTORY_LIMIT = 20;
+
+// Query parameters that carry a signature or token: AWS and GCS presigned
+// URLs, Azure SAS tokens and access tokens passed in the URL
+const CREDENTIAL_PARAM = /^(x-amz-.+|x-goog-.+|signature|awsaccesskeyid|googleaccessid|expires|sig|se|st|sp|sv|sr|spr|srt|ss|si|skoid|sktid|skt|ske|sks|skv|token|access_token)$/i;
+
+// Whether a URL carries credentials (a signature, token or user:password@)
+export function isSignedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  return Boolean(parsed.username || parsed.password) ||
+    [...parsed.searchParams.keys()].some(name => CREDENTIAL_PARAM.test(name));
+}
+
+// The URL without its credentials, for anything kept beyond the session
+export function stripCredentials(url) {
+  if (!isSignedUrl(url)) return url;
+  const parsed = new URL(url);
+  parsed.username = '';
+  parsed.password = '';
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (CREDENTIAL_PARAM.test(name)) parsed.searchParams.delete(name);
+  }
+  return parsed.toString();
+}
+
+// Stable history key: the URL without credentials (so a re-signed URL keeps
+// its key), a local file's name, size and modification time (`file`, so
+// same-named files from different folders are told apart), or a dataset's
+// folder name (its file list changes as partitions are added)
+export function historyKey(source, isUrl, file = {}) {
+  if (isUrl) return stripCredentials(source);
+  if (Array.isArray(source)) return `local:${commonDirectory(source) || source[0]}`;
+  return `local:${source}:${file.size ?? ''}:${file.lastModified ?? ''}`;
+}
+
+// History with `entry` moved to the front, merged into any previous entry
+// for the same key, capped at `limit` entries
+export function addToHistory(history, entry, limit = HISTORY_LIMIT) {
+  const list = Array.isArray(history) ? history : [];
+  const previous = list.find(h => h.key === entry.key);
+  return [{ ...previous, ...entry }, ...list.filter(h => h.key !== entry.key)].slice(0, limit);
+}
+
+// Short relative time, e.g. '5 min ago', '3 days ago'
+export function timeAgo(then, now = Date.now()) {
+  const seconds = Math.max(0, Math.round((now - then) / 1000));
+  if (seconds < 60) return 'just now';
+  const units = [['day', 86400], ['h', 3600], ['min', 60]];
+  for (const [unit, size] of units) {
+    const n = Math.floor(seconds / size);
+    if (n >= 1) return unit === 'day' ? `${n} day${n === 1 ? '' : 's'} ago` : `${n} ${unit} ago`;
+  }
+  return 'just now';
+}
+
+// === Remote sources (cloud storage and authenticated HTTP) ===
+
+// Split a cloud storage URI (s3://bucket/key, gs://bucket/key,
+// az://container/path) into its parts; null for anything else
+export function parseStorageUri(uri) {
+  const match = /^(s3|gs|az):\/\/([^/?#]+)\/?([^?#]*)$/i.exec(uri);
+  if (!match) return null;
+  return { scheme: match[1].toLowerCase(), bucket: match[2], key: match[3] };
+}
+
+// Credentials are stored per bucket/container, or per origin for HTTP(S)
+export function credentialKey(uri) {
+  const storage = parseStorageUri(uri);
+  if (storage) return `${storage.scheme}://${storage.bucket}`;
+  try {
+    const { protocol, origin } = new URL(uri);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Secret for DuckDB's S3 client, scoped to one bucket so each source (e.g.
+// the file and the one it's compared with) reads with its own credentials.
+// GCS is read through its S3-compatible API with HMAC keys; a custom endpoint
+// (e.g. MinIO at http://localhost:9000) defaults to path-style URLs. Every
+// field is written so a re-resolved bucket never keeps old credentials.
+export function s3SecretStatement(storage, creds = {}) {
+  const gcs = storage.scheme === 'gs';
+  const endpoint = gcs ? 'storage.googleapis.com' : (creds.endpoint || '').trim();
+  const host = endpoint.replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+  const urlStyle = creds.urlStyle === 'path' || creds.urlStyle === 'vhost'
+    ? creds.urlStyle
+    : (host && !gcs ? 'path' : 'vhost');
+  const fields = {
+    KEY_ID: creds.accessKeyId || '',
+    SECRET: creds.secretAccessKey || '',
+    SESSION_TOKEN: gcs ? '' : (creds.sessionToken || ''),
+    REGION: creds.region || (gcs ? 'auto' : 'us-east-1'),
+    ENDPOINT: host || 's3.amazonaws.com',
+    URL_STYLE: urlStyle,
+    USE_SSL: !/^http:\/\//i.test(endpoint),
+    // gs:// is read as s3://, so a GCS and an S3 bucket of the same name
+    // share this scope
+    SCOPE: `s3://${storage.bucket}`
+  };
+  const options = Object.entries(fields).map(([name, value]) =>
+    `${name} ${typeof value === 'boolean' ? value : `'${escapeSource(value)}'`}`
+  );
+  // Named after the bucket (hex, so any bucket name is a valid identifier)
+  const name = 'source_' + [...`${storage.scheme}://${storage.bucket}`]
+    .map(ch => ch.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+  return `CREATE OR REPLACE SECRET ${name} (TYPE S3, ${options.join(', ')})`;
+}
+
+// Azure Blob Storage has no DuckDB-wasm extension, so az:// URIs are read as
+// HTTPS blob URLs signed with a shared access signature (SAS) token
+export function azureBlobUrl(storage, creds = {}) {
+  const account = (creds.account || '').trim().toLowerCase();
+  if (!/^[a-z0-9]{3,24}$/.test(account)) {
+    throw new Error('az:// sources need the storage account name (3-24 lowercase letters and digits)');
+  }
+  const path = [storage.bucket, ...storage.key.split('/')].filter(Boolean).map(encodeURIComponent).join('/');
+  const sas = (creds.sasToken || '').trim().replace(/^\?/, '');
+  return `https://${account}.blob.core.windows.net/${path}${sas ? `?${sas}` : ''}`;
+}
+
+// What DuckDB reads for a URL source: the URL itself, or for cloud storage
+// an s3:// URL plus the statements to run first, or a signed blob URL
+export function resolveStorageUri(uri, creds = {}) {
+  const storage = parseStorageUri(uri);
+  if (!storage) return { url: uri, statements: [] };
+  if (storage.scheme === 'az') return { url: azureBlobUrl(storage, creds), statements: [] };
+  return { url: `s3://${storage.bucket}/${storage.key}`, statements: [s3SecretStatement(storage, creds)] };
+}
+
+const HEADER_NAME_RE = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Headers that would break DuckDB's range requests or can't be overridden
+const RESERVED_HEADERS = ['host', 'range', 'content-length', 'connection'];
+
+// Parse "Name: value" lines into headers (blank lines are skipped). Errors
+// name the line, not its content, which may hold a token.
+export function parseHeaderLines(text) {
+  const headers = [];
+  text.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const colon = trimmed.indexOf(':');
+    const name = colon > 0 ? trimmed.slice(0, colon).trim() : '';
+    if (!HEADER_NAME_RE.test(name)) throw new Error(`Line ${i + 1} is not a "Name: value" header`);
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) throw new Error(`The ${name} header can't be set`);
+    headers.push({ name, value: trimmed.slice(colon + 1).trim() });
+  });
+  return headers;
+}
+
+// declarativeNetRequest session rule setting headers on the extension's own
+// requests to one origin (DuckDB's range requests and the viewer's fetches)
+export function headerRule(id, origin, headers, extensionId) {
+  return {
+    id,
+    priority: 2,
+    action: {
+      type: 'modifyHeaders',
+      requestHeaders: headers.map(h => ({ header: h.name, operation: 'set', value: h.value }))
+    },
+    condition: {
+      urlFilter: `|${origin}/`,
+      initiatorDomains: [extensionId],
+      resourceTypes: ['xmlhttprequest', 'other']
+    }
+  };
+}
+
+// === Query progress ===
+
+// Elapsed time of a running query: ms, then seconds, then minutes
+export function formatElapsed(ms) {
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// A query past its timeout, or a fetch aborted by AbortSignal.timeout
+export function isTimeoutError(error) {
+  return error?.name === 'TimeoutError' || (error?.message?.toLowerCase() || '').includes('timed out');
+}
+
+// DuckDB's memory_limit, or the WASM heap itself (which can't grow past 4 GB)
+export function isOutOfMemoryError(error) {
+  const msg = error?.message?.toLowerCase() || '';
+  return msg.includes('out of memory') ||
+         msg.includes('failed to allocate') ||
+         msg.includes('could not allocate') ||
+         msg.includes('allocation failed') ||
+         msg.includes('memory access out of bounds');
+}
+
+// Status bar text for a pragma_database_size() row, or null without one
+export function formatMemoryUsage(usage) {
+  if (!usage || usage.memory_usage == null) return null;
+  const limit = usage.memory_limit == null ? '' : ` of ${usage.memory_limit}`;
+  return `Memory: ${usage.memory_usage}${limit}`;
+}
+
+// === Network inspector ===
+
+// `Range: bytes=start-end` request header as { start, end }: end is null for an
+// open range, start null for a suffix range (the last `end` bytes)
+export function parseRangeHeader(value) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(value ?? '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  return {
+    start: match[1] === '' ? null : Number(match[1]),
+    end: match[2] === '' ? null : Number(match[2])
+  };
+}
+
+// `Content-Range: bytes start-end/total` response header (total null if `*`)
+export function parseContentRange(value) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  return {
+    start: Number(match[1]),
+    end: Number(match[2]),
+    total: match[3] === '*' ? null : Number(match[3])
+  };
+}
+
+export function formatRange(range) {
+  if (!range) return 'whole file';
+  if (range.start == null) return `last ${range.end.toLocaleString()} B`;
+  if (range.end == null) return `${range.start.toLocaleString()}–end`;
+  return `${range.start.toLocaleString()}–${range.end.toLocaleString()}`;
+}
+
+// A range request the server answered with the whole body (200, not 206)
+export function ignoredRange(request) {
+  return request.range != null && request.status === 200;
+}
+
+// Whether a request (its URL) reads the source DuckDB was given (`readUrl`,
+// or a list of them), so requests for other files aren't logged against it.
+// Query strings are ignored, as signed URLs may be re-signed between reads.
+// s3:// sources match both the virtual-host (bucket.host/key) and the
+// path-style (host/bucket/key) form; a glob key matches the whole bucket.
+export function isSourceRequest(requestUrl, readUrl) {
+  if (Array.isArray(readUrl)) return readUrl.some(url => isSourceRequest(requestUrl, url));
+  let request;
+  try {
+    request = new URL(requestUrl);
+  } catch (e) {
+    return false;
+  }
+  const path = safeDecode(request.pathname);
+  const storage = parseStorageUri(readUrl ?? '');
+  if (storage && storage.scheme !== 'az') {
+    const vhost = request.hostname.startsWith(`${storage.bucket}.`);
+    const key = vhost ? path.slice(1) : path.startsWith(`/${storage.bucket}/`) ? path.slice(storage.bucket.length + 2) : null;
+    if (key == null) return vhost || path === `/${storage.bucket}`;
+    return /[*?[]/.test(storage.key) || key === storage.key;
+  }
+  try {
+    const source = new URL(readUrl);
+    return request.origin === source.origin && path === safeDecode(source.pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+function safeDecode(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch (e) {
+    return path;
+  }
+}
+
+// Totals over logged requests ({ range, status, bytes, cached, error }): bytes
+// counts what came over the network, so cached responses are left out
+export function summarizeTransfers(requests, fileSize = null) {
+  const fetched = requests.filter(r => r.status != null && !r.cached);
+  const bytes = fetched.reduce((sum, r) => sum + (r.bytes ?? 0), 0);
+  return {
+    requests: requests.length,
+    pending: requests.filter(r => r.status == null && !r.error).length,
+    failed: requests.filter(r => r.error).length,
+    cached: requests.filter(r => r.cached).length,
+    bytes,
+    fraction: fileSize ? bytes / fileSize : null,
+    ignoredRanges: fetched.filter(ignoredRange).length
+  };
+}
+
+// === Parquet file metadata ===
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// Call a parquet_* table function on a source (a list for datasets)
+export function parquetTableFunction(name, source) {
+  const arg = Array.isArray(source)
+    ? `[${source.map(s => `'${escapeSource(s)}'`).join(', ')}]`
+    : `'${escapeSource(source)}'`;
+  return `${name}(${arg})`;
+}
+
+// One entry per row group from parquet_metadata() column-chunk rows
+// ({ file, rowGroup, rowGroupRows, rowGroupBytes, compressed })
+export function summarizeRowGroups(chunks) {
+  const groups = new Map();
+  for (const c of chunks) {
+    const key = `${c.file}\u0000${c.rowGroup}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { file: c.file, id: c.rowGroup, rows: c.rowGroupRows, bytes: c.rowGroupBytes, compressed: 0 };
+      groups.set(key, group);
+    }
+    group.compressed += c.compressed || 0;
+  }
+  return [...groups.values()];
+}
+
+// Order statistics numerically when both sides are numbers, else as strings
+function compareStat(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// One entry per column across all row groups from parquet_metadata() rows
+// ({ path, type, compression, encodings, min, max, nullCount, compressed, uncompressed })
+export function summarizeColumnChunks(chunks) {
+  const columns = new Map();
+  for (const c of chunks) {
+    let col = columns.get(c.path);
+    if (!col) {
+      col = {
+        path: c.path,
+        type: c.type,
+        codecs: new Set(),
+        encodings: new Set(),
+        min: null,
+        max: null,
+        nullCount: 0,
+        compressed: 0,
+        uncompressed: 0
+      };
+      columns.set(c.path, col);
+    }
+    if (c.compression) col.codecs.add(c.compression);
+    for (const enc of (c.encodings || '').split(',')) {
+      if (enc.trim()) col.encodings.add(enc.trim());
+    }
+    if (c.min != null && (col.min == null || compareStat(c.min, col.min) < 0)) col.min = c.min;
+    if (c.max != null && (col.max == null || compareStat(c.max, col.max) > 0)) col.max = c.max;
+    // Unknown if any chunk lacks a null count
+    col.nullCount = c.nullCount == null || col.nullCount == null ? null : col.nullCount + c.nullCount;
+    col.compressed += c.compressed || 0;
+    col.uncompressed += c.uncompressed || 0;
+  }
+  return [...columns.values()].map(col => ({
+    ...col,
+    codecs: [...col.codecs],
+    encodings: [...col.encodings]
+  }));
+}
+
+// Flatten parquet_schema() rows (depth-first, root first) into
+// { name, depth, physicalType, logicalType, repetition }
+export function flattenParquetSchema(rows) {
+  const out = [];
+  const remaining = []; // Children left to visit at each open group
+  rows.forEach((row, i) => {
+    const children = Number(row.num_children || 0);
+    if (i === 0) {
+      remaining.push(children);
+      return;
+    }
+    while (remaining.length > 1 && remaining[remaining.length - 1] === 0) remaining.pop();
+    const depth = remaining.length - 1;
+    remaining[remaining.length - 1]--;
+    out.push({
+      name: row.name,
+      depth,
+      physicalType: row.type || (children > 0 ? 'group' : ''),
+      logicalType: row.logical_type || row.converted_type || '',
+      repetition: row.repetition_type || ''
+    });
+    if (children > 0) remaining.push(children);
+  });
+  return out;
+}
+
+// Render a key/value metadata value: pretty-print JSON, else show as text
+export function formatMetadataValue(value) {
+  const text = value instanceof Uint8Array ? new TextDecoder().decode(value) : String(value ?? '');
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object') return JSON.stringify(parsed, null, 2);
+  } catch (e) {
+    // Not JSON (e.g. base64 ARROW:schema)
+  }
+  return text;
+}
+
+// === Column profiling ===
+
+// Stats query for one column of a relation. All stats come back as VARCHAR
+// so they display the way DuckDB prints them.
+export function buildProfileQuery(relation, colName, type, whereClause = '') {
+  const col = escapeColumnName(colName);
+  const text = (expr, alias) => `CAST(${expr} AS VARCHAR) AS ${alias}`;
+  const stats = [
+    'COUNT(*) AS total',
+    `COUNT(${col}) AS non_null`,
+    `COUNT(DISTINCT ${col}) AS distinct_count`
+  ];
+  if (isNumericType(type)) {
+    stats.push(
+      text(`MIN(${col})`, 'min'),
+      text(`MAX(${col})`, 'max'),
+      text(`AVG(${col})`, 'mean'),
+      text(`STDDEV_SAMP(${col})`, 'stddev'),
+      text(`quantile_cont(${col}, 0.25)`, 'q25'),
+      text(`quantile_cont(${col}, 0.5)`, 'q50'),
+      text(`quantile_cont(${col}, 0.75)`, 'q75')
+    );
+  } else if (isTemporalType(type)) {
+    // Mean/stddev via epoch seconds; TIME has no epoch, so it only gets order stats
+    const hasEpoch = /^(DATE|TIMESTAMP)/i.test(type);
+    stats.push(
+      text(`MIN(${col})`, 'min'),
+      text(`MAX(${col})`, 'max'),
+      hasEpoch ? text(`to_timestamp(AVG(epoch(${col})))`, 'mean') : 'NULL AS mean',
+      hasEpoch ? text(`to_seconds(STDDEV_SAMP(epoch(${col})))`, 'stddev') : 'NULL AS stddev',
+      text(`quantile_disc(${col}, 0.25)`, 'q25'),
+      text(`quantile_disc(${col}, 0.5)`, 'q50'),
+      text(`quantile_disc(${col}, 0.75)`, 'q75')
+    );
+  }
+  return `SELECT ${stats.join(', ')} FROM ${relation}${whereClause}`;
+}
+
+// Most frequent values of a column with their counts
+export function buildTopValuesQuery(relation, colName, limit = 10, whereClause = '') {
+  const col = escapeColumnName(colName);
+  return `SELECT CAST(${col} AS VARCHAR) AS value, COUNT(*) AS cnt FROM ${relation}${whereClause} ` +
+    `GROUP BY ${col} ORDER BY cnt DESC, value NULLS LAST LIMIT ${Math.max(1, Math.floor(limit))}`;
+}
+
+// === Aggregation ===
+
+// Aggregates offered by the aggregation panel; count works without a column
+export const AGGREGATE_FUNCTIONS = {
+  count: { label: 'count', sql: (col) => col ? `count(${col})` : 'count(*)' },
+  sum: { label: 'sum', numeric: true, sql: (col) => `sum(${col})` },
+  avg: { label: 'avg', numeric: true, sql: (col) => `avg(${col})` },
+  min: { label: 'min', sql: (col) => `min(${col})` },
+  max: { label: 'max', sql: (col) => `max(${col})` },
+  count_distinct: { label: 'count distinct', sql: (col) => `count(DISTINCT ${col})` }
+};
+
+export const MAX_PIVOT_VALUES = 50;
+
+// Distinct pivot values as text, under the current filters. Fetches one more
+// than the limit so callers can tell when there are too many.
+export function buildPivotValuesQuery(relation, pivot, where = '') {
+  const col = escapeColumnName(pivot);
+  return `SELECT DISTINCT CAST(${col} AS VARCHAR) AS v FROM ${relation}${where} ORDER BY v NULLS LAST LIMIT ${MAX_PIVOT_VALUES + 1}`;
+}
+
+// GROUP BY query for the aggregation panel. `where` is a buildWhereClause
+// result. With a pivot column, each aggregate becomes one column per pivot
+// value (conditional aggregation, so the query nests like any other).
+export function buildAggregateQuery(relation, { groupBy = [], aggregates = [], pivot = null, pivotValues = [], where = '' } = {}) {
+  const aggs = [];
+  for (const agg of aggregates) {
+    if (!AGGREGATE_FUNCTIONS[agg.fn] || (!agg.column && agg.fn !== 'count')) continue;
+    const name = agg.column ? `${agg.fn}_${agg.column}` : agg.fn;
+    if (aggs.some(a => a.name === name)) continue;
+    aggs.push({ name, expr: AGGREGATE_FUNCTIONS[agg.fn].sql(agg.column ? escapeColumnName(agg.column) : null) });
+  }
+  if (aggs.length === 0) throw new Error('Choose at least one aggregate');
+
+  // Output names must be unique for the grid to select them
+  const used = new Set(groupBy);
+  const alias = (name) => {
+    let unique = name;
+    for (let i = 2; used.has(unique); i++) unique = `${name}_${i}`;
+    used.add(unique);
+    return escapeColumnName(unique);
+  };
+
+  if (pivot && pivotValues.length === 0) throw new Error('No rows match the filters, so there is nothing to pivot');
+
+  const selects = groupBy.map(escapeColumnName);
+  if (pivot) {
+    const col = escapeColumnName(pivot);
+    for (const value of pivotValues) {
+      const match = value === null ? `${col} IS NULL` : `CAST(${col} AS VARCHAR) = '${escapeSource(value)}'`;
+      const label = value === null ? 'NULL' : value;
+      for (const agg of aggs) {
+        selects.push(`${agg.expr} FILTER (WHERE ${match}) AS ${alias(aggs.length > 1 ? `${label}_${agg.name}` : label)}`);
+      }
+    }
+  } else {
+    selects.push(...aggs.map(agg => `${agg.expr} AS ${alias(agg.name)}`));
+  }
+
+  const groupClause = groupBy.length > 0 ? ` GROUP BY ${groupBy.map(escapeColumnName).join(', ')}` : '';
+  return `SELECT ${selects.join(', ')} FROM ${relation}${where}${groupClause}`;
+}
+
+// === Charts ===
+// Opt-in charts of one column. Their data always comes from aggregate queries
+// over the whole filtered relation; the SVG is built here as markup, without a
+// charting library.
+
+export const CHART_BINS = 30;        // Histogram buckets
+export const CHART_MAX_BARS = 20;    // Categories in a bar chart
+export const CHART_MAX_POINTS = 200; // Time buckets in a line chart
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_BAR_ROW = 20;
+
+// date_trunc units a time series can be bucketed by, finest first, with their
+// (average) length in seconds
+export const TIME_BUCKETS = [
+  ['second', 1], ['minute', 60], ['hour', 3600], ['day', 86400], ['week', 604800],
+  ['month', 2629746], ['quarter', 7889238], ['year', 31556952]
+];
+
+// DATE and TIMESTAMP values can be binned by their epoch; TIME has none
+export function isDatetimeType(type) {
+  return /^(DATE|TIMESTAMP)/i.test(type);
+}
+
+// Charts that suit a column, the default first: histograms for numbers and
+// datetimes, a line over time for datetimes, bars for categorical columns
+export function chartKinds(type, meta) {
+  const kinds = [];
+  if (isNumericType(type) || isDatetimeType(type)) kinds.push('histogram');
+  if (isDatetimeType(type)) kinds.push('line');
+  if (meta?.filterType === 'select') kinds.push('bar');
+  return kinds;
+}
+
+// Row counts in equal-width buckets between the column's min and max. Rows are
+// { bin, lo, hi, cnt } with lo/hi the overall range (epoch seconds for
+// datetimes); empty buckets have no row (see histogramBins).
+export function buildHistogramQuery(relation, colName, type, whereClause = '', bins = CHART_BINS) {
+  const col = escapeColumnName(colName);
+  const value = isDatetimeType(type) ? `epoch(${col})` : col;
+  const n = Math.max(1, Math.floor(bins));
+  return `WITH v AS (SELECT x FROM (SELECT CAST(${value} AS DOUBLE) AS x FROM ${relation}${whereClause}) WHERE isfinite(x)), ` +
+    'r AS (SELECT MIN(x) AS lo, MAX(x) AS hi FROM v) ' +
+    `SELECT CAST(LEAST(COALESCE(FLOOR((x - lo) / NULLIF(hi - lo, 0) * ${n}), 0), ${n - 1}) AS INTEGER) AS bin, ` +
+    'ANY_VALUE(lo) AS lo, ANY_VALUE(hi) AS hi, COUNT(*) AS cnt FROM v, r GROUP BY bin ORDER BY bin';
+}
+
+// Histogram buckets as [{ lo, hi, count }], including the empty ones
+export function histogramBins(rows, bins = CHART_BINS) {
+  if (rows.length === 0) return [];
+  const lo = Number(rows[0].lo);
+  const hi = Number(rows[0].hi);
+  if (lo === hi) return [{ lo, hi, count: Number(rows[0].cnt) }];
+  const n = Math.max(1, Math.floor(bins));
+  const width = (hi - lo) / n;
+  const counts = new Map(rows.map(r => [Number(r.bin), Number(r.cnt)]));
+  return Array.from({ length: n }, (_, i) => ({
+    lo: lo + i * width,
+    hi: i === n - 1 ? hi : lo + (i + 1) * width,
+    count: counts.get(i) || 0
+  }));
+}
+
+// Seconds between a datetime column's first and last value
+export function buildTimeSpanQuery(relation, colName, whereClause = '') {
+  const col = escapeColumnName(colName);
+  return `SELECT CAST(epoch(MAX(${col})) - epoch(MIN(${col})) AS DOUBLE) AS span FROM ${relation}${whereClause}`;
+}
+
+// Finest bucket unit that keeps a span of `seconds` within maxPoints buckets
+export function timeBucketUnit(seconds, maxPoints = CHART_MAX_POINTS) {
+  const fits = TIME_BUCKETS.find(([, size]) => seconds / size <= maxPoints);
+  return (fits || TIME_BUCKETS[TIME_BUCKETS.length - 1])[0];
+}
+
+// Coarsest unit no longer than `seconds`, for labelling values that far apart
+export function timeLabelUnit(seconds) {
+  const fits = TIME_BUCKETS.filter(([, size]) => size <= seconds);
+  return fits.length > 0 ? fits[fits.length - 1][0] : 'second';
+}
+
+// One { t, y } row per time bucket, t in epoch seconds. The measure is an
+// AGGREGATE_FUNCTIONS key and a column; without one it counts rows.
+export function buildTimeSeriesQuery(relation, timeCol, unit, measure = {}, whereClause = '') {
+  const col = escapeColumnName(timeCol);
+  const bucket = TIME_BUCKETS.some(([u]) => u === unit) ? unit : 'day';
+  const fn = AGGREGATE_FUNCTIONS[measure.fn] || AGGREGATE_FUNCTIONS.count;
+  const value = fn.sql(measure.col ? escapeColumnName(measure.col) : null);
+  const notNull = `${col} IS NOT NULL`;
+  const where = whereClause ? `${whereClause} AND ${notNull}` : ` WHERE ${notNull}`;
+  return `SELECT CAST(epoch(date_trunc('${bucket}', ${col})) AS DOUBLE) AS t, CAST(${value} AS DOUBLE) AS y ` +
+    `FROM ${relation}${where} GROUP BY 1 ORDER BY 1`;
+}
+
+// Short axis label for a number, e.g. 1.2M, 35K, 0.25
+export function formatChartNumber(n) {
+  return new Intl.NumberFormat('en', { notation: 'compact', maximumSignificantDigits: 3 }).format(n);
+}
+
+// Axis label for epoch seconds (UTC), as precise as `unit` needs
+export function formatChartTime(seconds, unit = 'second') {
+  const date = new Date(seconds * 1000);
+  if (Number.isNaN(date.getTime())) return String(seconds);
+  const iso = date.toISOString();
+  if (unit === 'year') return iso.slice(0, 4);
+  if (unit === 'month' || unit === 'quarter') return iso.slice(0, 7);
+  if (unit === 'day' || unit === 'week') return iso.slice(0, 10);
+  return iso.slice(0, unit === 'second' ? 19 : 16).replace('T', ' ');
+}
+
+const px = (n) => Math.round(n * 10) / 10;
+
+function svgOpen(height) {
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" width="${CHART_WIDTH}" height="${height}" role="img" xmlns="http://www.w3.org/2000/svg">`;
+}
+
+function plotArea() {
+  return { left: 56, right: CHART_WIDTH - 16, top: 10, bottom: CHART_HEIGHT - 28 };
+}
+
+// Gridlines labelled with the lowest, middle and highest value
+function valueGrid(min, max, plot) {
+  return [0, 0.5, 1].map(f => {
+    const y = px(plot.bottom - f * (plot.bottom - plot.top));
+    return `<line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${y}" y2="${y}"/>` +
+      `<text class="chart-label" x="${plot.left - 6}" y="${px(y + 4)}" text-anchor="end">${escapeHtml(formatChartNumber(min + f * (max - min)))}</text>`;
+  }).join('');
+}
+
+// Labels under the first and last x position
+function xLabels(plot, first, last) {
+  const label = (x, text, anchor) =>
+    `<text class="chart-label" x="${x}" y="${plot.bottom + 18}" text-anchor="${anchor}">${escapeHtml(text)}</text>`;
+  return label(plot.left, first, 'start') + label(plot.right, last, 'end');
+}
+
+// Columns for histogram buckets ({ lo, hi, count }); formatX labels their edges
+export function histogramSvg(bins, formatX = formatChartNumber) {
+  if (bins.length === 0) return '';
+  const plot = plotArea();
+  const max = Math.max(1, ...bins.map(b => b.count));
+  const step = (plot.right - plot.left) / bins.length;
+  const bars = bins.map((b, i) => {
+    const h = b.count / max * (plot.bottom - plot.top);
+    const range = bins.length === 1 ? formatX(b.lo) : `${formatX(b.lo)} – ${formatX(b.hi)}`;
+    return `<rect class="chart-bar" x="${px(plot.left + i * step + 1)}" y="${px(plot.bottom - h)}" ` +
+      `width="${px(Math.max(step - 2, 1))}" height="${px(h)}"><title>${escapeHtml(`${range}: ${b.count.toLocaleString()}`)}</title></rect>`;
+  }).join('');
+  return svgOpen(CHART_HEIGHT) + valueGrid(0, max, plot) + bars +
+    xLabels(plot, formatX(bins[0].lo), formatX(bins[bins.length - 1].hi)) + '</svg>';
+}
+
+// Horizontal bars for categories ({ label, count }), one row each
+export function barChartSvg(bars) {
+  if (bars.length === 0) return '';
+  const left = 168;
+  const right = CHART_WIDTH - 64;
+  const max = Math.max(1, ...bars.map(b => b.count));
+  const rows = bars.map((b, i) => {
+    const y = i * CHART_BAR_ROW + 4;
+    const w = b.count / max * (right - left);
+    const count = b.count.toLocaleString();
+    return `<text class="chart-label" x="${left - 6}" y="${y + 13}" text-anchor="end">${escapeHtml(truncateColumnName(b.label, 26))}` +
+      `<title>${escapeHtml(b.label)}</title></text>` +
+      `<rect class="chart-bar" x="${left}" y="${y + 2}" width="${px(Math.max(w, 1))}" height="${CHART_BAR_ROW - 4}">` +
+      `<title>${escapeHtml(`${b.label}: ${count}`)}</title></rect>` +
+      `<text class="chart-label" x="${px(left + w + 6)}" y="${y + 13}">${escapeHtml(count)}</text>`;
+  }).join('');
+  return svgOpen(bars.length * CHART_BAR_ROW + 8) + rows + '</svg>';
+}
+
+// Line through points ({ t, y }) in time order; formatX labels t. Points
+// without a value (e.g. avg over NULLs) are left out.
+export function lineChartSvg(points, formatX = formatChartNumber) {
+  const shown = points.filter(p => Number.isFinite(p.y));
+  if (shown.length === 0) return '';
+  const plot = plotArea();
+  const ys = shown.map(p => p.y);
+  const min = Math.min(0, ...ys);
+  const max = Math.max(...ys) > min ? Math.max(...ys) : min + 1;
+  const first = shown[0].t;
+  const last = shown[shown.length - 1].t;
+  const x = (t) => px(last > first ? plot.left + (t - first) / (last - first) * (plot.right - plot.left) : (plot.left + plot.right) / 2);
+  const y = (v) => px(plot.bottom - (v - min) / (max - min) * (plot.bottom - plot.top));
+  const path = shown.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.t)},${y(p.y)}`).join(' ');
+  const dots = shown.map(p =>
+    `<circle class="chart-point" cx="${x(p.t)}" cy="${y(p.y)}" r="2.5"><title>${escapeHtml(`${formatX(p.t)}: ${formatChartNumber(p.y)}`)}</title></circle>`
+  ).join('');
+  return svgOpen(CHART_HEIGHT) + valueGrid(min, max, plot) + `<path class="chart-line" d="${path}"/>` + dots +
+    xLabels(plot, formatX(first), formatX(last)) + '</svg>';
+}
+
+// === Nested types (STRUCT, LIST, MAP) ===
+
+export function isNestedType(type) {
+  return /^(STRUCT|MAP|UNION)\s*\(/i.test(type) || /\]$/.test(type);
+}
+
+// Split a type's argument list on top-level commas, skipping nested
+// parentheses/brackets and quoted names or enum values
+function splitTopLevel(str) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of str) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+// Fields of a DuckDB STRUCT type string, e.g. 'STRUCT(a INTEGER, "b c" VARCHAR)'
+// -> [{ name: 'a', type: 'INTEGER' }, { name: 'b c', type: 'VARCHAR' }]. null if not a struct.
+export function parseStructFields(type) {
+  const match = type.trim().match(/^STRUCT\s*\(([\s\S]*)\)$/i);
+  if (!match) return null;
+  return splitTopLevel(match[1]).map(part => {
+    const field = part.trim();
+    if (field.startsWith('"')) {
+      let name = '';
+      let i = 1;
+      while (i < field.length) {
+        if (field[i] === '"') {
+          if (field[i + 1] !== '"') break;
+          i++;
+        }
+        name += field[i++];
+      }
+      return { name, type: field.slice(i + 1).trim() };
+    }
+    const space = field.search(/\s/);
+    return { name: field.slice(0, space), type: field.slice(space + 1).trim() };
+  });
+}
+
+// Leaf columns of a struct, named with dots ('address.geo.lat') and read via
+// struct_extract. Nested structs are flattened recursively.
+export function structLeaves(name, type, expr = escapeColumnName(name), parent = name) {
+  const fields = parseStructFields(type);
+  if (!fields) return [{ name, type, expr, parent }];
+  return fields.flatMap(f =>
+    structLeaves(`${name}.${f.name}`, f.type, `struct_extract(${expr}, '${escapeSource(f.name)}')`, parent)
+  );
+}
+
+// Relation with derived columns ({ name, expr }) appended to every row
+export function withDerivedColumns(relation, derived) {
+  if (derived.length === 0) return relation;
+  const extra = derived.map(d => `${d.expr} AS ${escapeColumnName(d.name)}`).join(', ');
+  return `(SELECT *, ${extra} FROM ${relation}) AS d`;
+}
+
+// === Computed columns ===
+
+// A user expression as one SELECT item. The parentheses keep `a, b` or
+// `x AS y` from adding columns; the newline keeps a trailing `-- comment`
+// from swallowing the closing parenthesis.
+export function computedExpression(expr) {
+  return `(${stripSqlTerminator(expr)}\n)`;
+}
+
+// Problem with a new computed column's name/expression, or null if it can be
+// tried against the file. `taken` holds the names already in the grid.
+export function computedColumnError({ name, expr }, taken) {
+  if (!name.trim()) return 'Enter a column name.';
+  if (name !== name.trim()) return 'Column names can\'t start or end with spaces.';
+  if (taken.has(name)) return `There is already a column named "${name}".`;
+  if (!stripSqlTerminator(expr)) return 'Enter a DuckDB expression, e.g. price * quantity.';
+  return null;
+}
+
+// Computed column definitions saved for a source, keeping only well-formed
+// entries with unique names (storage is not trusted to have the right shape)
+export function parseComputedColumns(stored) {
+  if (!Array.isArray(stored)) return [];
+  const seen = new Set();
+  return stored.filter(d => {
+    if (!d || typeof d.name !== 'string' || typeof d.expr !== 'string') return false;
+    if (computedColumnError(d, seen)) return false;
+    seen.add(d.name);
+    return true;
+  }).map(({ name, expr }) => ({ name, expr }));
+}
+
+// Computed columns from a shared link: the well-formed definitions, and how
+// many entries were left out (a value that isn't a list counts as one). Links
+// are untrusted, so the viewer shows the expressions and asks before any run.
+export function linkComputedColumns(raw) {
+  const columns = parseComputedColumns(raw);
+  return { columns, skipped: (Array.isArray(raw) ? raw.length : 1) - columns.length };
+}
+
+// SQL that converts a column for display, or null to use the Arrow value.
+// Most types are cast to VARCHAR so cells read exactly as the duckdb CLI
+// prints them; TIMESTAMPTZ comes back as epoch microseconds so it can be shown
+// in the chosen time zone, and nested values as JSON text.
+export function displayExpression(name, type) {
+  const col = escapeColumnName(name);
+  if (isNestedType(type)) return `to_json(${col})`;
+  if (/^(TIMESTAMP WITH TIME ZONE|TIMESTAMPTZ)/i.test(type)) return `epoch_us(${col})`;
+  if (/^(DECIMAL|NUMERIC|HUGEINT|UHUGEINT|UUID|DATE|TIME|TIMESTAMP|INTERVAL|FLOAT|REAL|BIT|VARINT)/i.test(type)) {
+    return `CAST(${col} AS VARCHAR)`;
+  }
+  return null;
+}
+
+// Wrap a grid query so values are converted for display. The inner query
+// keeps its ORDER BY/LIMIT, so row order holds.
+export function buildDisplayQuery(query, cols) {
+  if (!cols.some(c => displayExpression(c.name, c.type))) return query;
+  const projections = cols.map(c => {
+    const col = escapeColumnName(c.name);
+    const expr = displayExpression(c.name, c.type);
+    return expr ? `${expr} AS ${col}` : col;
+  });
+  return `SELECT ${projections.join(', ')} FROM (${query}) AS v`;
+}
+
+// One-line preview of a nested value for a table cell
+export function jsonPreview(value, maxLen = 80) {
+  const text = JSON.stringify(value);
+  return text.length > maxLen ? text.slice(0, maxLen - 1) + '…' : text;
+}
+
+const JSON_TREE_MAX_CHILDREN = 1000;
+
+// Expandable HTML tree for a parsed JSON value (top level open)
+export function jsonTreeHtml(value, depth = 0) {
+  if (value === null) return '<span class="json-null">null</span>';
+  if (typeof value === 'string') return `<span class="json-str">${escapeHtml(JSON.stringify(value))}</span>`;
+  if (typeof value !== 'object') return `<span class="json-num">${escapeHtml(String(value))}</span>`;
+
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value);
+  const summary = isArray ? `[${entries.length} items]` : `{${entries.length} keys}`;
+  if (entries.length === 0) return `<span class="json-null">${isArray ? '[]' : '{}'}</span>`;
+
+  const shown = entries.slice(0, JSON_TREE_MAX_CHILDREN).map(([k, v]) =>
+    `<div><span class="json-key">${escapeHtml(String(k))}</span>: ${jsonTreeHtml(v, depth + 1)}</div>`
+  ).join('');
+  const more = entries.length > JSON_TREE_MAX_CHILDREN
+    ? `<div class="json-null">… ${(entries.length - JSON_TREE_MAX_CHILDREN).toLocaleString()} more</div>`
+    : '';
+  return `<details${depth === 0 ? ' open' : ''}><summary>${summary}</summary>` +
+    `<div class="json-children">${shown}${more}</div></details>`;
+}
+
+// === Value formatting ===
+
+const timeZoneFormatters = new Map();
+
+function timeZoneFormatter(timeZone) {
+  if (!timeZoneFormatters.has(timeZone)) {
+    timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'longOffset'
+    }));
+  }
+  return timeZoneFormatters.get(timeZone);
+}
+
+// Format epoch microseconds like DuckDB prints TIMESTAMPTZ, in `timeZone`:
+// '2024-03-01 09:30:00.123456+05:30' (fraction trimmed, ':MM' only if non-zero)
+export function formatTimestampTz(epochMicros, timeZone = 'UTC') {
+  const micros = BigInt(epochMicros);
+  let seconds = micros / 1_000_000n;
+  let fraction = micros % 1_000_000n;
+  if (fraction < 0n) {
+    fraction += 1_000_000n;
+    seconds -= 1n;
+  }
+
+  const parts = {};
+  for (const part of timeZoneFormatter(timeZone).formatToParts(new Date(Number(seconds) * 1000))) {
+    parts[part.type] = part.value;
+  }
+  const year = parts.year.padStart(4, '0');
+  const frac = fraction === 0n ? '' : '.' + fraction.toString().padStart(6, '0').replace(/0+$/, '');
+
+  // longOffset is 'GMT' for UTC, else 'GMT+05:30'
+  const match = parts.timeZoneName.match(/([+-])(\d{2}):?(\d{2})?/);
+  const offset = match
+    ? `${match[1]}${match[2]}${match[3] && match[3] !== '00' ? ':' + match[3] : ''}`
+    : '+00';
+
+  return `${year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}${frac}${offset}`;
+}
+
+const BLOB_PREVIEW_BYTES = 256;
+
+// BLOB preview: 'escaped' matches the duckdb CLI (printable ASCII, \xNN for the
+// rest), 'hex' matches hex(), 'base64' matches to_base64()
+export function formatBlob(bytes, format = 'escaped', maxBytes = BLOB_PREVIEW_BYTES) {
+  const shown = bytes.length > maxBytes ? bytes.subarray(0, maxBytes) : bytes;
+  let text;
+  if (format === 'hex') {
+    text = Array.from(shown, b => b.toString(16).toUpperCase().padStart(2, '0')).join('');
+  } else if (format === 'base64') {
+    text = btoa(Array.from(shown, b => String.fromCharCode(b)).join(''));
+  } else {
+    text = Array.from(shown, b => {
+      const regular = b >= 32 && b <= 126 && b !== 92 && b !== 39 && b !== 34; // not \ ' "
+      return regular ? String.fromCharCode(b) : '\\x' + b.toString(16).toUpperCase().padStart(2, '0');
+    }).join('');
+  }
+  return bytes.length > maxBytes ? `${text}… (${bytes.length.toLocaleString()} bytes)` : text;
+}
+
+// Display text for a cell. Grid queries pre-convert most types in SQL (see
+// displayExpression); the Arrow fallbacks cover static console results.
+export function formatValue(val, type, { timeZone = 'UTC', blobFormat = 'escaped', maxBlobBytes = BLOB_PREVIEW_BYTES } = {}) {
+  if (val == null) return '';
+  const upperType = type.toUpperCase();
+  if (/^(TIMESTAMP WITH TIME ZONE|TIMESTAMPTZ)/.test(upperType) && typeof val === 'bigint') {
+    return formatTimestampTz(val, timeZone);
+  }
+  if (val instanceof Uint8Array) {
+    return formatBlob(val, blobFormat, maxBlobBytes);
+  }
+  // Arrow structs/lists from static console results (grid queries send nested values as JSON)
+  if (typeof val === 'object' && typeof val.toJSON === 'function' && !(val instanceof Date)) {
+    return JSON.stringify(val, (k, v) => (typeof v === 'bigint' ? v.toString() : v));
+  }
+  if (upperType.startsWith('DATE') || upperType.startsWith('TIMESTAMP')) {
+    const n = typeof val === 'string' ? NaN : Number(val);
+    if (!isNaN(n)) {
+      const d = new Date(n);
+      if (upperType.startsWith('DATE')) {
+        return d.toISOString().slice(0, 10);
+      }
+      return d.toISOString().slice(0, 19).replace('T', ' ');
+    }
+  }
+  return String(val);
+}
+
+// Grid cell markup. The tooltip and data-value are escaped file text;
+// `content` is HTML that is already safe (e.g. from highlightMatches).
+export function dataCellHtml({ classes = [], attrs = '', title, value, content }) {
+  const cls = classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+  return `<td${cls}${attrs} title="${escapeHtml(title)}" data-value="${escapeHtml(value)}">${content}</td>`;
+}
+
+// === Row export ===
+
+// A grid row as a plain object for copying as JSON. Numbers and booleans stay
+// native (64-bit integers past 2^53 become strings), nested values are parsed
+// and everything else is its display text, BLOBs in full.
+export function rowToObject(row, cols, options = {}) {
+  return Object.fromEntries(cols.map(c => [c.name, jsonValue(row[c.name], c.type, options)]));
+}
+
+function jsonValue(val, type, options) {
+  if (val == null) return null;
+  if (isNestedType(type)) {
+    const text = typeof val === 'string' ? val : formatValue(val, type, options);
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+  if (typeof val === 'boolean') return val;
+  if (!isTemporalType(type)) {
+    if (typeof val === 'number' && Number.isFinite(val)) return val;
+    if (typeof val === 'bigint') return Number.isSafeInteger(Number(val)) ? Number(val) : val.toString();
+  }
+  return formatValue(val, type, { ...options, maxBlobBytes: Infinity });
+}
+
+// INSERT statement recreating a row in `table`. Values are typed literals;
+// nested values go through JSON, which DuckDB casts to STRUCT/LIST/MAP.
+export function buildInsertStatement(table, row, cols, { timeZone = 'UTC' } = {}) {
+  const names = cols.map(c => escapeColumnName(c.name)).join(', ');
+  const values = cols.map(c => sqlLiteral(row[c.name], c.type, timeZone)).join(', ');
+  return `INSERT INTO ${table} (${names}) VALUES (${values});`;
+}
+
+function sqlLiteral(val, type, timeZone) {
+  if (val == null) return 'NULL';
+  if (typeof val === 'boolean') return val ? 'TRUE' : 'FALSE';
+  const text = formatValue(val, type, { timeZone, blobFormat: 'escaped', maxBlobBytes: Infinity });
+  if (isNumericType(type) && NUMBER_RE.test(text)) return text;
+  const quoted = `'${text.replace(/'/g, "''")}'`;
+  if (isNestedType(type)) return `${quoted}::JSON::${type}`;
+  if (/^(VARCHAR|TEXT|STRING)$/i.test(type)) return quoted;
+  return `${quoted}::${type}`;
+}
+
+// Rectangle spanned by a selection's anchor and focus cells ({ row, col })
+export function selectionBounds({ anchor, focus }) {
+  return {
+    top: Math.min(anchor.row, focus.row),
+    bottom: Math.max(anchor.row, focus.row),
+    left: Math.min(anchor.col, focus.col),
+    right: Math.max(anchor.col, focus.col)
+  };
+}
+
+export const COPY_FORMATS = {
+  tsv: { label: 'TSV' },
+  markdown: { label: 'Markdown' },
+  json: { label: 'JSON' }
+};
+
+// Selected rows as clipboard text: TSV (quoted like spreadsheets do when a
+// value has a tab, newline or quote; NULL is empty), a Markdown table or a
+// JSON array of objects. TSV only gets a header row when `header` is set.
+export function formatSelection(rows, cols, format, { header = false, ...options } = {}) {
+  if (format === 'json') return JSON.stringify(rows.map(row => rowToObject(row, cols, options)), null, 2);
+  const text = (row, c) => row[c.name] == null ? '' : formatValue(row[c.name], c.type, { ...options, maxBlobBytes: Infinity });
+  if (format === 'markdown') {
+    const cell = (v) => v.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    return [
+      `| ${cols.map(c => cell(c.name)).join(' | ')} |`,
+      `| ${cols.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${cols.map(c => cell(text(row, c))).join(' | ')} |`)
+    ].join('\n');
+  }
+  if (format !== 'tsv') throw new Error(`Unknown copy format: ${format}`);
+  const field = (v) => /[\t\n\r"]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  const lines = rows.map(row => cols.map(c => field(text(row, c))).join('\t'));
+  if (header) lines.unshift(cols.map(c => field(c.name)).join('\t'));
+  return lines.join('\n');
+}
+
+// === Compare mode ===
+
+// Column differences between two schemas (by name): columns only in B are
+// added, only in A removed, and shared columns whose type differs changed
+export function diffSchemas(colsA, colsB) {
+  const typesA = new Map(colsA.map(c => [c.name, c.type]));
+  const typesB = new Map(colsB.map(c => [c.name, c.type]));
+  return {
+    added: colsB.filter(c => !typesA.has(c.name)),
+    removed: colsA.filter(c => !typesB.has(c.name)),
+    changed: colsA
+      .filter(c => typesB.has(c.name) && typesB.get(c.name) !== c.type)
+      .map(c => ({ name: c.name, from: c.type, to: typesB.get(c.name) })),
+    common: colsA.filter(c => typesB.has(c.name)).map(c => c.name)
+  };
+}
+
+// Rows of A and B matched on `key` that were added, removed or changed. Each
+// result row has `diff`, `diff_key`, then a<i>/b<i> for cols[i] as text.
+// Columns in `castCols` (type changed) are compared as text. Rows are
+// classified by which side they came from (the _in_a/_in_b markers), not by
+// their key: a NULL key never matches, so its row is removed (from A) or
+// added (from B).
+export function buildDiffQuery(relA, relB, key, cols, { castCols = [] } = {}) {
+  const text = (side, c) => `CAST(${side}.${escapeColumnName(c)} AS VARCHAR)`;
+  const cmp = (side, c) => (castCols.includes(c) ? text(side, c) : `${side}.${escapeColumnName(c)}`);
+  const select = cols.flatMap((c, i) => [`${text('a', c)} AS a${i}`, `${text('b', c)} AS b${i}`]);
+  const changed = cols.filter(c => c !== key).map(c => `${cmp('a', c)} IS DISTINCT FROM ${cmp('b', c)}`);
+  return "SELECT CASE WHEN a._in_a IS NULL THEN 'added' WHEN b._in_b IS NULL THEN 'removed' ELSE 'changed' END AS diff, " +
+    `COALESCE(${text('a', key)}, ${text('b', key)}) AS diff_key` +
+    (select.length > 0 ? `, ${select.join(', ')}` : '') +
+    ` FROM (SELECT *, TRUE AS _in_a FROM ${relA}) AS a FULL OUTER JOIN (SELECT *, TRUE AS _in_b FROM ${relB}) AS b` +
+    ` ON ${cmp('a', key)} = ${cmp('b', key)}` +
+    ' WHERE a._in_a IS NULL OR b._in_b IS NULL' +
+    (changed.length > 0 ? ` OR ${changed.join(' OR ')}` : '');
+}
+
+// Without a key, whole rows (as text) are compared with EXCEPT ALL: rows only
+// in A are removed, rows only in B added (duplicates count individually)
+export function buildExceptQuery(relA, relB, cols) {
+  const list = cols.map(c => `CAST(${escapeColumnName(c)} AS VARCHAR) AS ${escapeColumnName(c)}`).join(', ');
+  return `SELECT 'removed' AS diff, * FROM (SELECT ${list} FROM ${relA} EXCEPT ALL SELECT ${list} FROM ${relB})` +
+    ` UNION ALL SELECT 'added' AS diff, * FROM (SELECT ${list} FROM ${relB} EXCEPT ALL SELECT ${list} FROM ${relA})`;
+}
+
+// { added, removed, changed } counts for a diff/except query
+export function buildDiffCountsQuery(diffQuery) {
+  return `SELECT diff, COUNT(*) AS cnt FROM (${diffQuery}) GROUP BY diff`;
+}
+
+// Rows whose key is NULL or shared with another row (keys should be unique)
+export function buildDuplicateKeyQuery(relation, key) {
+  const k = escapeColumnName(key);
+  return `SELECT COUNT(*) - COUNT(DISTINCT ${k}) AS cnt FROM ${relation}`;
+}
@@ -1,17 +1,80 @@
 // DuckDB-wasm for Parquet parsing (bundled locally for MV3 CSP compliance)
 import * as duckdb from './lib/duckdb-bundle.mjs';
-import { escapeHtml, escapeSource, escapeLikePattern, escapeColumnName, truncateColumnName, buildFilterClauses } from './viewer-utils.js';
+import { escapeHtml, escapeSource, escapeLikePattern, escapeColumnName, truncateColumnName, buildWhereClause, buildViewQuery, nextSortStack, toggleSortNulls, buildCopyQuery, EXPORT_FORMATS, hasActiveFilters, highlightMatches, matchesSearch, computeWindow, computeColumnWindow, pagesForRange, scrollTopForRow, serializeViewState, parseViewState, selectColumns, validateViewState, sourceRelation, queryRelation, sourceLabel, commonDirectory, hivePartitionKeys, formatBytes, parquetTableFunction, summarizeRowGroups, summarizeColumnChunks, flattenParquetSchema, formatMetadataValue, isNumericType, isTemporalType, buildProfileQuery, buildTopValuesQuery, isNestedType, parseStructFields, structLeaves, withDerivedColumns, computedExpression, computedColumnError, parseComputedColumns, buildDisplayQuery, jsonPreview, jsonTreeHtml, formatValue, dataCellHtml, rowToObject, buildInsertStatement, selectionBounds, formatSelection, COPY_FORMATS, stripSqlTerminator, FILTER_OPERATORS, filterOperatorsFor, emptyFilterGroup, countFilterConditions, validateFilterTree, INPUT_FORMATS, formatFromName, detectFormat, arrowIpcStream, diffSchemas, buildDiffQuery, buildExceptQuery, buildDiffCountsQuery, buildDuplicateKeyQuery, historyKey, isSignedUrl, addToHistory, timeAgo, parseStorageUri, credentialKey, resolveStorageUri, parseHeaderLines, headerRule, parseRangeHeader, parseContentRange, formatRange, ignoredRange, isSourceRequest, summarizeTransfers, AGGREGATE_FUNCTIONS, MAX_PIVOT_VALUES, buildAggregateQuery, buildPivotValuesQuery, formatElapsed, CHART_MAX_BARS, isDatetimeType, chartKinds, buildHistogramQuery, histogramBins, buildTimeSpanQuery, timeBucketUnit, timeLabelUnit, buildTimeSeriesQuery, formatChartNumber, formatChartTime, histogramSvg, barChartSvg, lineChartSvg, isTimeoutError, isOutOfMemoryError, formatMemoryUsage } from './viewer-utils.js';
 
 // DOM elements
 const status = document.getElementById('status');
 const schemaDiv = document.getElementById('schema');
 const tableDiv = document.getElementById('table');
 const buttons = document.getElementById('buttons');
-const moreBtn = document.getElementById('more');
-const loadAllBtn = document.getElementById('loadAll');
 const downloadBtn = document.getElementById('download');
+const exportSelect = document.getElementById('export');
+const copyLinkBtn = document.getElementById('copy-link');
+const tabsBar = document.getElementById('tabs');
+const fileInfoDiv = document.getElementById('file-info');
+const networkDiv = document.getElementById('network');
+const columnProfileDiv = document.getElementById('column-profile');
+const summaryDiv = document.getElementById('summary');
+const tzSetting = document.getElementById('tz-setting');
+const blobSetting = document.getElementById('blob-setting');
+const chartsSetting = document.getElementById('charts-setting');
+const chartTabBtn = tabsBar.querySelector('[data-tab="chart"]');
+const chartControls = document.getElementById('chart-controls');
+const chartColumnSelect = document.getElementById('chart-column');
+const chartKindSelect = document.getElementById('chart-kind');
+const chartMeasureSelect = document.getElementById('chart-measure');
+const chartMeasureLabel = document.getElementById('chart-measure-label');
+const chartNote = document.getElementById('chart-note');
+const chartArea = document.getElementById('chart-area');
+const drawer = document.getElementById('drawer');
+const drawerTitle = document.getElementById('drawer-title');
+const drawerBody = document.getElementById('drawer-body');
+const drawerClose = document.getElementById('drawer-close');
 const dropZone = document.getElementById('drop');
 const urlBar = document.getElementById('url-bar');
+const sqlConsole = document.getElementById('sql-console');
+const sqlInput = document.getElementById('sql-input');
+const sqlRunBtn = document.getElementById('sql-run');
+const sqlBackBtn = document.getElementById('sql-back');
+const sortBar = document.getElementById('sort-bar');
+const aggregatePanel = document.getElementById('aggregate');
+const aggregateForm = document.getElementById('aggregate-form');
+const aggregateRunBtn = document.getElementById('aggregate-run');
+const aggregateBackBtn = document.getElementById('aggregate-back');
+const filterBuilder = document.getElementById('filter-builder');
+const filterTreeDiv = document.getElementById('filter-tree');
+const filterCount = document.getElementById('filter-count');
+const filterApplyBtn = document.getElementById('filter-apply');
+const filterClearBtn = document.getElementById('filter-clear');
+const comparePanel = document.getElementById('compare');
+const compareUrlInput = document.getElementById('compare-url');
+const compareLoadBtn = document.getElementById('compare-load');
+const comparePickBtn = document.getElementById('compare-pick');
+const compareFileInput = document.getElementById('compare-file');
+const compareSummaryDiv = document.getElementById('compare-summary');
+const compareRowsDiv = document.getElementById('compare-rows');
+const recentDiv = document.getElementById('recent');
+const recentList = document.getElementById('recent-list');
+const clearHistoryBtn = document.getElementById('clear-history');
+const openSourceBtn = document.getElementById('open-source');
+const sourceDialog = document.getElementById('source-dialog');
+const sourceForm = document.getElementById('source-form');
+const sourceError = document.getElementById('source-error');
+const sourceForgetBtn = document.getElementById('source-forget');
+const sourceCancelBtn = document.getElementById('source-cancel');
+const linkedColumnsDialog = document.getElementById('linked-columns-dialog');
+const linkedColumnsList = document.getElementById('linked-columns-list');
+const queryProgress = document.getElementById('query-progress');
+const queryElapsed = document.getElementById('query-elapsed');
+const cancelQueryBtn = document.getElementById('cancel-query');
+const memoryUsage = document.getElementById('memory-usage');
+const searchBar = document.getElementById('search-bar');
+const searchInput = document.getElementById('search-input');
+const searchPrevBtn = document.getElementById('search-prev');
+const searchNextBtn = document.getElementById('search-next');
+const searchStatus = document.getElementById('search-status');
+const selectionBar = document.getElementById('selection-bar');
+const selectionInfo = document.getElementById('selection-info');
 
 // URL parameters - viewer.html?url=...
 const params = new URLSearchParams(location.search);
@@ -19,22 +82,114 @@ const fileUrl = params.get('url');
 
 // State
 let db, conn;
-let offset = 0;
-const CHUNK = 100;        // Rows per page
-const MAX_COLS = 100;     // Column cap for wide tables
-const MAX_ROWS = 5000;    // DOM row cap for performance
+const CHUNK = 100;        // Rows per LIMIT/OFFSET page
 const TIMEOUT_MS = 30000; // 30s timeout for network requests
 let totalRows = 0;
 let columns = [];
-let currentSource = null;
-let rowOffset = 0;        // For row number display
+let allColumns = [];        // Full schema (columns shows the chosen subset)
+let currentSource = null;  // URL/file name, or a list of files for a dataset
+let readSource = null;     // What DuckDB reads for currentSource (differs for cloud storage URIs)
+let currentFormat = 'parquet'; // INPUT_FORMATS key of the loaded source
+let currentIsUrl = false;
+let currentKey = null;     // historyKey of currentSource (history, file handle and computed columns)
+let sourceSize = null;     // Bytes of a single-file URL source, if the server says
+let partitionColumns = [];  // Hive partition keys of a multi-file dataset
+let currentRelation = null; // FROM clause for grid queries (null for static results)
+let statusText = '';      // Status line for the loaded file
+
+// Virtual scroll state - only rows in view are kept in the DOM
+const OVERSCAN = 20;          // Extra rows rendered above/below the viewport
+const MAX_CACHED_PAGES = 50;  // Fetched pages kept in memory
+let rowHeight = 30;           // Measured from the first rendered row
+let viewRows = 0;             // Rows matching the current filters
+let pageCache = new Map();    // { pageIndex: rows[] }
+let wantedPages = [];         // Pages needed by the current window, in fetch order
+let fetchingPages = false;
+let cacheGeneration = 0;      // Bumped on sort/filter to discard stale pages
+let renderScheduled = false;
+let syncTimeout;
+let filterTimeout;
+
+// Horizontal virtualization: wide tables get fixed-width columns and only the
+// columns in view are rendered
+const COL_WIDTH = 160;        // px, data columns of wide or pinned tables
+const ROW_NUM_WIDTH = 80;     // px, the # column once columns are pinned
+const WIDE_TABLE_COLS = 40;   // Column count above which columns are virtualized
+const COL_OVERSCAN = 2;       // Extra columns rendered left/right of the viewport
+let headerWindow = null;      // Column window the header was rendered for
+
+// Column chooser
+let columnOrder = [];         // All column names in chooser order
+let hiddenColumns = new Set();
+let pinnedColumns = new Set(); // Shown left of the other columns and kept in view
+let draggedColumn = null;
+
+// Global search - a substring matched in any shown column, on top of the filters
+const SEARCH_SCAN_ROWS = 1000; // Rows checked per next/previous step for a visible match
+let searchText = '';
+let searchMatch = null;       // { row, col } picked with next/previous
+let searchTimeout;
+
+// Cell selection - rows are view positions, cols indexes into columns
+const MAX_COPY_ROWS = 10000;  // Rows fetched when copying a selection
+let selection = null;         // { anchor: { row, col }, focus: { row, col }, wholeColumns }
+let selecting = null;         // 'cells' or 'rows' while dragging
+let selectionDragged = false; // The last mousedown became a drag (so its click doesn't copy)
 
 // Sort state
-let sortColumn = null;
-let sortDirection = null; // 'ASC' or 'DESC'
+let sortStack = [];       // [{ col, dir: 'ASC'|'DESC', nulls: 'FIRST'|'LAST' }], primary key first
+
+// Query manager - queries are queued on the one connection (see runQuery)
+const QUERY_TIMEOUT_MS = 120000; // Per query, after which it is cancelled
+const PROGRESS_DELAY_MS = 300;   // Elapsed time and Cancel show after this
+let queryQueue = Promise.resolve();
+let runningQuery = null;         // { sql, key, cancelled, timedOut, started }
+const pendingQueries = new Set(); // Queued, not yet started
+let progressTimer = null;
+let viewRequest = 0;             // Bumped per reloadData; older ones drop their results
+const MEMORY_UPDATE_DELAY_MS = 1000;
+let memoryTimeout;
+
+// SQL console state - the grid shows either the file or a console result
+const SQL_VIEW = 't';     // View name the loaded file is exposed as
+let fileView = null;      // File grid state saved while console results are shown
+
+// Tabs - panels other than the grid render lazily on first open
+let activeTab = 'data';
+let fileInfoSource = null; // Source the File info tab was rendered for
+let profileColumn = null;  // Column opened in the Profile tab from its header
+let summaryRelation = null; // Relation the SUMMARIZE table was run for
+let detailRow = null;      // View index of the row open in the drawer
+let chartColumn = null;    // Column drawn in the Chart tab
+let chartRequest = 0;      // Latest chart drawn; older results are dropped
+
+// Compare mode - the other source is exposed as a second view next to t
+const COMPARE_VIEW = 't2';
+const COMPARE_LIMIT = 500;   // Differing rows listed (counts cover all of them)
+let compareSource = null;    // URL or registered file name of the other source
+
+// Struct flattening - the grid relation gets one derived column per struct leaf
+let baseRelation = null;  // Grid relation before flattening (file or console query)
+let baseColumns = [];     // Columns before flattening
+let flattenedStructs = new Set();
+
+// Computed columns - DuckDB expressions appended to the file grid, saved per source
+const COMPUTED_STORAGE_KEY = 'computedColumns';
+let computedColumns = []; // { name, expr, type } in the order they were added
+let computedNotice = '';   // Definitions skipped when the source was opened
+
+// Display settings (persisted in localStorage)
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const displayOptions = {
+  timeZone: localStorage.getItem('parquet-peek:timeZone') || LOCAL_TIME_ZONE,
+  blobFormat: localStorage.getItem('parquet-peek:blobFormat') || 'escaped'
+};
+let chartsEnabled = localStorage.getItem('parquet-peek:charts') === 'on'; // Chart tab is opt-in
 
 // Filter state
 let filters = {};         // { columnName: filterValue or { min, max } }
+let filterTree = null;    // Applied filter builder tree (ANDed with the header filters)
+let filterDraft = emptyFilterGroup(); // Tree being edited in the filter builder
 let columnMeta = {};      // { columnName: { filterType, values?, type } }
 
 // === Error Detection & Handling ===
@@ -55,9 +210,32 @@ function isNetworkError(error) {
          msg.includes('net::');
 }
 
-function isInvalidParquet(error) {
+// HTTP 401/403 and the S3 equivalents, e.g. from a missing token or expired presigned URL
+function isAuthError(error) {
+  const msg = error.message?.toLowerCase() || '';
+  return /\b(401|403)\b/.test(msg) ||
+         msg.includes('unauthorized') ||
+         msg.includes('forbidden') ||
+         msg.includes('access denied') ||
+         msg.includes('accessdenied') ||
+         msg.includes('signaturedoesnotmatch') ||
+         msg.includes('invalidaccesskeyid');
+}
+
+function isSqlError(error) {
+  const msg = error.message?.toLowerCase() || '';
+  return msg.includes('parser error') ||
+         msg.includes('binder error') ||
+         msg.includes('catalog error') ||
+         msg.includes('conversion error');
+}
+
+function isInvalidFile(error) {
   const msg = error.message?.toLowerCase() || '';
   return msg.includes('parquet') ||
+         msg.includes('csv') ||
+         msg.includes('json') ||
+         msg.includes('arrow') ||
          msg.includes('invalid') ||
          msg.includes('not a valid') ||
          msg.includes('magic number') ||
@@ -79,9 +257,39 @@ function showError(title, details, suggestion) {
 }
 
 function handleError(error) {
+  if (isCancelled(error)) {
+    status.textContent = error.message;
+    status.classList.remove('loading');
+    return;
+  }
   console.error('Parquet Viewer Error:', error);
 
-  if (isCorsError(error)) {
+  if (fileUrl && isAuthError(error)) {
+    showError(
+      'Access Denied',
+      error.message,
+      `The server refused the request. Try:<br>
+       ▸ <button data-open-source>Add credentials or request headers</button> for this source<br>
+       ▸ If this is a presigned URL, check that it hasn't expired`
+    );
+  } else if (isOutOfMemoryError(error)) {
+    showError(
+      'Out of Memory',
+      error.message,
+      `DuckDB ran out of memory in this tab. Try:<br>
+       ▸ Hide columns you don't need and filter the rows before sorting or aggregating<br>
+       ▸ Reload the tab - memory used by a failed query isn't always given back<br>
+       ▸ Open very large files with the <code>duckdb</code> CLI instead`
+    );
+  } else if (isTimeoutError(error)) {
+    showError(
+      'Timed Out',
+      error.message,
+      `The query took too long. Try:<br>
+       ▸ Filter the rows or hide columns you don't need<br>
+       ▸ Download the file and drag it here - local files are much faster`
+    );
+  } else if (isCorsError(error)) {
     showError(
       'CORS Error - Cannot access this file',
       error.message,
@@ -98,12 +306,21 @@ function handleError(error) {
        ▸ Check your internet connection<br>
        ▸ The server might be down - try again later`
     );
-  } else if (isInvalidParquet(error)) {
+  } else if (isSqlError(error)) {
+    showError(
+      'SQL Error',
+      error.message,
+      `The query could not be run. Try:<br>
+       ▸ Check the query syntax and column names<br>
+       ▸ The loaded file is available as the view <code>t</code>`
+    );
+  } else if (isInvalidFile(error)) {
+    const label = INPUT_FORMATS[currentFormat].label;
     showError(
-      'Invalid Parquet File',
+      `Invalid ${label} File`,
       error.message,
-      `The file doesn't appear to be a valid Parquet file. Try:<br>
-       ▸ Verify the file is actually in Parquet format<br>
+      `The file doesn't appear to be a valid ${label} file. Try:<br>
+       ▸ Verify the file is actually in ${label} format<br>
        ▸ The file may be corrupted - try re-downloading`
     );
   } else {
@@ -135,317 +352,700 @@ async function initDuckDB() {
   status.classList.remove('loading');
 }
 
-// === Parquet Query Functions ===
+// === Query Manager ===
+// Every query runs through runQuery: one connection runs one query at a time,
+// so they are queued, timed out after QUERY_TIMEOUT_MS and can be cancelled
+// from the status line. Queries sharing a `key` supersede each other, so a
+// filter typed over a slower one drops the stale query instead of waiting.
 
-async function getSchema(source) {
-  const result = await conn.query(`DESCRIBE SELECT * FROM read_parquet('${escapeSource(source)}')`);
-  return result.toArray().map(row => ({
-    name: row.column_name,
-    type: row.column_type
-  }));
+function cancelledError(message = 'Query cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
 }
 
-async function getRowCount(source) {
-  const result = await conn.query(`SELECT COUNT(*) as cnt FROM read_parquet('${escapeSource(source)}')`);
-  return Number(result.toArray()[0].cnt);
+function isCancelled(error) {
+  return error?.name === 'AbortError';
 }
 
-async function getRows(source, cols, limit, off, sortCol = null, sortDir = null, filterMap = {}, colMeta = {}) {
-  const colList = cols.map(c => escapeColumnName(c.name)).join(', ');
-  let query = `SELECT ${colList} FROM read_parquet('${escapeSource(source)}')`;
+function runQuery(sql, { key = null } = {}) {
+  const task = { sql, key, cancelled: false, timedOut: false, started: 0 };
+  if (key) {
+    for (const other of pendingQueries) if (other.key === key) other.cancelled = true;
+    if (runningQuery?.key === key) cancelRunningQuery();
+  }
+  pendingQueries.add(task);
+  const result = queryQueue.then(() => executeQuery(task));
+  queryQueue = result.catch(() => {});
+  return result;
+}
 
-  // Add WHERE clause for filters
-  const clauses = buildFilterClauses(filterMap, colMeta);
-  if (clauses.length > 0) {
-    query += ` WHERE ${clauses.join(' AND ')}`;
+async function executeQuery(task) {
+  pendingQueries.delete(task);
+  if (task.cancelled) throw cancelledError();
+  runningQuery = task;
+  task.started = performance.now();
+  startQueryProgress();
+  const timeout = setTimeout(() => {
+    task.timedOut = true;
+    cancelRunningQuery();
+  }, QUERY_TIMEOUT_MS);
+  try {
+    // send() polls the pending query, which is what lets cancelSent stop it
+    const reader = await conn.send(task.sql);
+    const batches = await reader.readAll();
+    if (task.cancelled) throw cancelledError();
+    return { schema: reader.schema, toArray: () => batches.flatMap(batch => batch.toArray()) };
+  } catch (e) {
+    if (task.timedOut) throw new Error(`Query timed out after ${formatElapsed(QUERY_TIMEOUT_MS)}`);
+    if (task.cancelled) throw cancelledError();
+    throw e;
+  } finally {
+    clearTimeout(timeout);
+    runningQuery = null;
+    if (pendingQueries.size === 0) {
+      stopQueryProgress();
+      if (task.key !== 'memory') scheduleMemoryUpdate();
+    }
   }
+}
 
-  // Add ORDER BY clause for sorting
-  if (sortCol) {
-    query += ` ORDER BY ${escapeColumnName(sortCol)} ${sortDir}`;
+function cancelRunningQuery() {
+  if (!runningQuery) return;
+  runningQuery.cancelled = true;
+  conn.cancelSent().catch(e => console.warn('Cancel failed:', e));
+}
+
+// Cancel button: drop everything queued along with the running query
+function cancelQueries() {
+  for (const task of pendingQueries) task.cancelled = true;
+  cancelRunningQuery();
+}
+
+// Elapsed time of the running query, shown once it takes noticeably long
+function startQueryProgress() {
+  if (progressTimer) return;
+  progressTimer = setInterval(updateQueryProgress, 100);
+}
+
+function updateQueryProgress() {
+  const elapsed = runningQuery ? performance.now() - runningQuery.started : 0;
+  const show = elapsed >= PROGRESS_DELAY_MS;
+  queryProgress.classList.toggle('hidden', !show);
+  if (!show) return;
+  const queued = pendingQueries.size > 0 ? ` (+${pendingQueries.size} queued)` : '';
+  queryElapsed.textContent = `Running query — ${formatElapsed(elapsed)}${queued}`;
+}
+
+function stopQueryProgress() {
+  clearInterval(progressTimer);
+  progressTimer = null;
+  queryProgress.classList.add('hidden');
+}
+
+// DuckDB's memory use against its limit, refreshed once queries go idle
+function scheduleMemoryUpdate() {
+  clearTimeout(memoryTimeout);
+  memoryTimeout = setTimeout(updateMemoryUsage, MEMORY_UPDATE_DELAY_MS);
+}
+
+async function updateMemoryUsage() {
+  try {
+    const [usage] = (await runQuery(
+      'SELECT memory_usage, memory_limit FROM pragma_database_size() LIMIT 1', { key: 'memory' }
+    )).toArray();
+    const text = formatMemoryUsage(usage);
+    if (!text) return;
+    memoryUsage.textContent = text;
+    memoryUsage.classList.remove('hidden');
+  } catch (e) {
+    console.warn('Could not read memory usage:', e);
   }
+}
+
+// === Query Functions ===
+// Each takes a FROM-clause relation: the loaded file (sourceRelation, or the
+// Arrow table) or a SQL console query (queryRelation).
 
-  query += ` LIMIT ${limit} OFFSET ${off}`;
-  const result = await conn.query(query);
+async function getSchema(relation) {
+  const result = await runQuery(`DESCRIBE SELECT * FROM ${relation}`);
+  return result.toArray().map(row => ({
+    name: row.column_name,
+    type: row.column_type
+  }));
+}
+
+async function getFileRowCounts(source) {
+  const result = await runQuery(
+    `SELECT filename, COUNT(*) as cnt FROM ${sourceRelation(source, currentFormat, { filename: true })} GROUP BY filename ORDER BY filename`
+  );
+  return result.toArray().map(row => ({ name: row.filename, rows: Number(row.cnt) }));
+}
+
+async function getRowCount(relation) {
+  const result = await runQuery(`SELECT COUNT(*) as cnt FROM ${relation}`);
+  return Number(result.toArray()[0].cnt);
+}
+
+async function getRows(relation, cols, limit, off, sort = [], filterMap = {}, colMeta = {}, tree = null, search = null) {
+  const query = buildViewQuery(relation, cols, { sort, filterMap, filterTree: tree, colMeta, search }) +
+    ` LIMIT ${limit} OFFSET ${off}`;
+  const result = await runQuery(buildDisplayQuery(query, cols));
   return result.toArray();
 }
 
-async function getFilteredRowCount(source, filterMap = {}, colMeta = {}) {
-  let query = `SELECT COUNT(*) as cnt FROM read_parquet('${escapeSource(source)}')`;
-  const clauses = buildFilterClauses(filterMap, colMeta);
-  if (clauses.length > 0) {
-    query += ` WHERE ${clauses.join(' AND ')}`;
-  }
-  const result = await conn.query(query);
+async function getFilteredRowCount(relation, filterMap = {}, colMeta = {}, tree = null, search = null) {
+  const query = `SELECT COUNT(*) as cnt FROM ${relation}` + buildWhereClause(filterMap, colMeta, tree, search);
+  const result = await runQuery(query, { key: 'filtered-count' });
   return Number(result.toArray()[0].cnt);
 }
 
 
-// Detect if column is categorical (low cardinality)
+// Detect if column is categorical (low cardinality). Candidates are found
+// with one approximate pass over all text columns, then confirmed by fetching
+// their distinct values.
 const CATEGORICAL_THRESHOLD = 20;
-async function getColumnMeta(source, cols) {
+async function getColumnMeta(relation, cols, detectCategorical = true) {
   const meta = {};
+  const candidates = [];
   for (const col of cols) {
-    const isNumeric = /^(INTEGER|BIGINT|DOUBLE|FLOAT|DECIMAL|NUMERIC|REAL|SMALLINT|TINYINT)/i.test(col.type);
-    const isDate = /^(DATE|TIMESTAMP|TIME)/i.test(col.type);
-
-    if (isNumeric) {
+    if (isNumericType(col.type)) {
       meta[col.name] = { filterType: 'range', type: col.type };
-    } else if (!isDate) {
-      // Check cardinality for potential categorical
-      try {
-        const result = await conn.query(
-          `SELECT COUNT(DISTINCT ${escapeColumnName(col.name)}) as cnt FROM read_parquet('${escapeSource(source)}')`
-        );
-        const distinctCount = Number(result.toArray()[0].cnt);
-        if (distinctCount <= CATEGORICAL_THRESHOLD && distinctCount > 0) {
-          // Get distinct values
-          const valsResult = await conn.query(
-            `SELECT DISTINCT ${escapeColumnName(col.name)} as val FROM read_parquet('${escapeSource(source)}') ORDER BY val LIMIT ${CATEGORICAL_THRESHOLD}`
-          );
-          const values = valsResult.toArray().map(r => r.val);
-          meta[col.name] = { filterType: 'select', type: col.type, values };
-        } else {
-          meta[col.name] = { filterType: 'text', type: col.type };
-        }
-      } catch (e) {
-        meta[col.name] = { filterType: 'text', type: col.type };
-      }
-    } else if (isDate) {
+    } else if (isTemporalType(col.type)) {
       meta[col.name] = { filterType: 'date', type: col.type };
     } else {
       meta[col.name] = { filterType: 'text', type: col.type };
+      if (detectCategorical && !isNestedType(col.type)) candidates.push(col);
     }
   }
-  return meta;
-}
+  if (candidates.length === 0) return meta;
 
-// === Rendering Functions ===
+  let estimates;
+  try {
+    const result = await runQuery(
+      `SELECT ${candidates.map((c, i) => `approx_count_distinct(${escapeColumnName(c.name)}) AS c${i}`).join(', ')} FROM ${relation}`
+    );
+    estimates = result.toArray()[0];
+  } catch (e) {
+    return meta;
+  }
 
-function formatValue(val, type) {
-  if (val == null) return '';
-  const upperType = type.toUpperCase();
-  if (upperType.startsWith('DATE') || upperType.startsWith('TIMESTAMP')) {
-    const n = Number(val);
-    if (!isNaN(n)) {
-      const d = new Date(n);
-      if (upperType.startsWith('DATE')) {
-        return d.toISOString().slice(0, 10);
+  for (const [i, col] of candidates.entries()) {
+    // The estimate can be a little off, so confirm anything near the threshold
+    const estimate = Number(estimates[`c${i}`]);
+    if (estimate === 0 || estimate > CATEGORICAL_THRESHOLD * 2) continue;
+    try {
+      const name = escapeColumnName(col.name);
+      const valsResult = await runQuery(
+        `SELECT DISTINCT ${name} as val FROM ${relation} WHERE ${name} IS NOT NULL ORDER BY val LIMIT ${CATEGORICAL_THRESHOLD + 1}`
+      );
+      const values = valsResult.toArray().map(r => r.val);
+      if (values.length > 0 && values.length <= CATEGORICAL_THRESHOLD) {
+        meta[col.name] = { filterType: 'select', type: col.type, values };
       }
-      return d.toISOString().slice(0, 19).replace('T', ' ') + ' UTC';
+    } catch (e) {
+      // Keep the text filter
     }
   }
-  return String(val);
+  return meta;
 }
 
-function renderSchema(cols, totalCols) {
-  if (cols.length === 0) {
-    schemaDiv.innerHTML = '<b>No columns</b> - This file has no columns.';
-    return;
-  }
-
-  const truncated = totalCols > MAX_COLS ? ` (showing ${MAX_COLS} of ${totalCols})` : '';
-  const colCount = cols.length;
-  const isOpen = colCount <= 10;
+// === Rendering Functions ===
 
-  schemaDiv.innerHTML = `
-    <details${isOpen ? ' open' : ''}>
-      <summary>${colCount} columns${truncated}</summary>
-      <div class="schema-content">(<br>  ${cols.map(c => `${escapeHtml(c.name)} <span class="type">${escapeHtml(c.type)}</span>`).join(',<br>  ')}<br>)</div>
+// Per-file row counts for multi-file datasets, appended below the schema
+function renderFileBreakdown(files) {
+  const root = commonDirectory(files.map(f => f.name));
+  const strip = (name) => root ? name.slice(root.length + 1) : name;
+  schemaDiv.insertAdjacentHTML('beforeend', `
+    <details>
+      <summary>${files.length} files</summary>
+      <div class="schema-content">${files.map(f =>
+        `${escapeHtml(strip(f.name))} <span class="type">${f.rows.toLocaleString()} rows</span>`
+      ).join('<br>')}</div>
     </details>
-  `;
+  `);
+}
+
+// Struct columns can be flattened into leaf columns; leaves collapse back
+function getFlattenButton(col) {
+  if (col.parent) {
+    const parent = escapeHtml(col.parent);
+    return `<span class="flatten-btn" data-struct="${parent}" title="Collapse back into ${parent}">⊟</span>`;
+  }
+  if (parseStructFields(col.type)) {
+    return `<span class="flatten-btn" data-struct="${escapeHtml(col.name)}" title="Flatten into sub-columns">⊞</span>`;
+  }
+  return '';
 }
 
+// Arrow for the column's sort key, numbered when sorting by several columns
 function getSortIndicator(colName) {
-  if (sortColumn !== colName) return '<span class="sort-indicator">⇅</span>';
-  return sortDirection === 'ASC'
-    ? '<span class="sort-indicator">▲</span>'
-    : '<span class="sort-indicator">▼</span>';
+  const index = sortStack.findIndex(key => key.col === colName);
+  if (index < 0) return '<span class="sort-indicator">⇅</span>';
+  const arrow = sortStack[index].dir === 'ASC' ? '▲' : '▼';
+  const number = sortStack.length > 1 ? `<sup>${index + 1}</sup>` : '';
+  return `<span class="sort-indicator">${arrow}${number}</span>`;
+}
+
+function getSortHint(colName) {
+  const key = sortStack.find(k => k.col === colName);
+  if (!key) return 'Click to sort, Shift+click to add to the sort (re-queries full dataset). Ctrl+click selects the column.';
+  return `Sorted ${key.dir}, NULLs ${key.nulls.toLowerCase()}. Click to toggle, Shift+click to cycle this key.`;
 }
 
-function renderRows(rows, cols, append = false) {
+function renderTable(cols) {
   if (cols.length === 0) {
     tableDiv.innerHTML = '<p>No columns to display.</p>';
     return;
   }
 
-  if (!append) {
-    // Create table with row number column, sortable headers, and filter row
-    let html = '<table><thead><tr>' +
-      '<th class="row-num">#</th>' +
-      cols.map(c => {
-        const isSorted = sortColumn === c.name;
-        const sortHint = isSorted
-          ? `Sorted ${sortDirection}. Click to toggle.`
-          : 'Click to sort (re-queries full dataset)';
-        const escapedName = escapeHtml(c.name);
-        const escapedType = escapeHtml(c.type);
-        return `<th class="sortable${isSorted ? ' sorted' : ''}" data-column="${escapedName}" title="${escapedName} (${escapedType})\n${sortHint}">` +
-          `<span class="col-name">${escapeHtml(truncateColumnName(c.name))}</span>${getSortIndicator(c.name)}</th>`;
-      }).join('') +
-      '</tr>' +
-      '<tr class="filter-row">' +
-      '<td class="row-num"></td>' +
-      cols.map(c => {
-        const meta = columnMeta[c.name] || { filterType: 'text' };
-        const eName = escapeHtml(c.name);
-        if (meta.filterType === 'select' && meta.values) {
-          const currentVal = filters[c.name] || '';
-          const options = ['<option value="">All</option>']
-            .concat(meta.values.map(v => {
-              const ev = escapeHtml(v);
-              return `<option value="${ev}"${v === currentVal ? ' selected' : ''}>${ev}</option>`;
-            }));
-          return `<td><select data-filter="${eName}" data-type="select">${options.join('')}</select></td>`;
-        } else if (meta.filterType === 'range') {
-          const rangeVal = filters[c.name] || { min: '', max: '' };
-          return `<td class="range-filter">
-            <input type="number" placeholder="Min" data-filter="${eName}" data-range="min" value="${escapeHtml(rangeVal.min || '')}" step="any">
-            <input type="number" placeholder="Max" data-filter="${eName}" data-range="max" value="${escapeHtml(rangeVal.max || '')}" step="any">
-          </td>`;
-        } else if (meta.filterType === 'date') {
-          const rangeVal = filters[c.name] || { min: '', max: '' };
-          return `<td class="range-filter">
-            <input type="date" title="From" data-filter="${eName}" data-range="min" value="${escapeHtml(rangeVal.min || '')}">
-            <input type="date" title="To" data-filter="${eName}" data-range="max" value="${escapeHtml(rangeVal.max || '')}">
-          </td>`;
-        } else {
-          return `<td><input type="text" placeholder="Filter..." data-filter="${eName}" data-type="text" value="${escapeHtml(filters[c.name] || '')}"></td>`;
-        }
-      }).join('') +
-      '</tr></thead><tbody id="tbody"></tbody></table>';
-    tableDiv.innerHTML = html;
-    rowOffset = 0;
-
-    // Setup sort click handlers
-    tableDiv.querySelectorAll('th.sortable').forEach(th => {
-      th.addEventListener('click', () => handleSort(th.dataset.column));
-    });
+  // Row number column, sortable headers and filter row. The header is filled
+  // by renderHeader() and the body by renderWindow() as the user scrolls.
+  // Static console results (no relation to re-query) hide sorting and filtering.
+  const wide = cols.length > WIDE_TABLE_COLS;
+  const classes = [
+    currentRelation ? '' : 'static',
+    wide ? 'wide' : '',
+    wide || pinnedCount() > 0 ? 'fixed-cols' : ''
+  ].filter(Boolean).join(' ');
+  const width = wide ? ` style="width: ${ROW_NUM_WIDTH + cols.length * COL_WIDTH}px"` : '';
+  tableDiv.innerHTML = `<table${classes ? ` class="${classes}"` : ''}${width}><thead></thead><tbody id="tbody"></tbody></table>`;
+  headerWindow = null;
+  exportSelect.disabled = !currentRelation;
+  searchBar.classList.toggle('hidden', !currentRelation);
+  renderSortBar();
+  renderAggregatePanel();
+
+  renderWindow();
+}
+
+// Leading columns that are pinned (chosen columns put pinned ones first;
+// flattened leaves follow their struct)
+function pinnedCount() {
+  if (fileView) return 0; // Pins belong to the file's columns
+  let count = 0;
+  while (count < columns.length && pinnedColumns.has(columns[count].parent ?? columns[count].name)) count++;
+  return count;
+}
+
+// Which columns to render: all of them, or for wide tables the pinned ones
+// plus the window of scrollable columns in view
+function columnLayout() {
+  const pinned = pinnedCount();
+  const scrollable = columns.length - pinned;
+  const wide = columns.length > WIDE_TABLE_COLS;
+  const win = wide
+    ? computeColumnWindow({
+      scrollLeft: tableDiv.scrollLeft,
+      viewportWidth: tableDiv.clientWidth,
+      colWidth: COL_WIDTH,
+      totalCols: scrollable,
+      fixedWidth: ROW_NUM_WIDTH + pinned * COL_WIDTH,
+      overscan: COL_OVERSCAN
+    })
+    : { start: 0, end: scrollable, leftPad: 0, rightPad: 0 };
+  return { ...win, wide, pinned, cellCount: 1 + pinned + (win.end - win.start) + (wide ? 2 : 0) };
+}
+
+// Cells of one row in layout order, with spacer cells standing in for the
+// columns left and right of the window. cell(col, index) returns the markup.
+function layoutCells(layout, tag, cell) {
+  let html = '';
+  const cells = (from, to) => {
+    for (let i = from; i < to; i++) html += cell(columns[i], i);
+  };
+  const spacer = (width) => {
+    html += `<${tag} class="col-spacer" style="width: ${width}px"></${tag}>`;
+  };
+  cells(0, layout.pinned);
+  if (layout.wide) spacer(layout.leftPad);
+  cells(layout.pinned + layout.start, layout.pinned + layout.end);
+  if (layout.wide) spacer(layout.rightPad);
+  return html;
+}
+
+// Pinned cells stick to the left edge, past the row numbers and the pinned
+// columns before them
+function pinAttrs(index, layout) {
+  return index < layout.pinned ? ` data-pinned style="left: ${ROW_NUM_WIDTH + index * COL_WIDTH}px"` : '';
+}
+
+function renderHeader(layout) {
+  const thead = tableDiv.querySelector('thead');
+
+  // Re-rendering replaces the filter inputs; keep the one being typed in
+  const active = thead.contains(document.activeElement) ? document.activeElement : null;
+  const focus = active?.dataset.filter != null
+    ? { filter: active.dataset.filter, range: active.dataset.range, value: active.value, caret: active.selectionStart }
+    : null;
+
+  thead.innerHTML = '<tr><th class="row-num">#</th>' +
+    layoutCells(layout, 'th', (c, i) => {
+      const isSorted = sortStack.some(key => key.col === c.name);
+      const sortHint = getSortHint(c.name);
+      const escapedName = escapeHtml(c.name);
+      const escapedType = escapeHtml(c.type);
+      const formula = c.formula ? `\n= ${escapeHtml(c.formula)}` : '';
+      return `<th class="sortable${isSorted ? ' sorted' : ''}${c.formula ? ' computed' : ''}"${pinAttrs(i, layout)} data-column="${escapedName}" title="${escapedName} (${escapedType})${formula}\n${sortHint}">` +
+        `<span class="col-name">${escapeHtml(truncateColumnName(c.name))}</span>${getSortIndicator(c.name)}` +
+        `<span class="profile-btn" title="Profile column">ⓘ</span>${getFlattenButton(c)}</th>`;
+    }) +
+    '</tr><tr class="filter-row"><td class="row-num"></td>' +
+    layoutCells(layout, 'td', (c, i) => {
+      const meta = columnMeta[c.name] || { filterType: 'text' };
+      const eName = escapeHtml(c.name);
+      const pin = pinAttrs(i, layout);
+      if (meta.filterType === 'select' && meta.values) {
+        const currentVal = filters[c.name] || '';
+        const options = ['<option value="">All</option>']
+          .concat(meta.values.map(v => {
+            const ev = escapeHtml(v);
+            return `<option value="${ev}"${v === currentVal ? ' selected' : ''}>${ev}</option>`;
+          }));
+        return `<td${pin}><select data-filter="${eName}" data-type="select">${options.join('')}</select></td>`;
+      } else if (meta.filterType === 'range') {
+        const rangeVal = filters[c.name] || { min: '', max: '' };
+        return `<td class="range-filter"${pin}>
+          <input type="number" placeholder="Min" data-filter="${eName}" data-range="min" value="${escapeHtml(rangeVal.min || '')}" step="any">
+          <input type="number" placeholder="Max" data-filter="${eName}" data-range="max" value="${escapeHtml(rangeVal.max || '')}" step="any">
+        </td>`;
+      } else if (meta.filterType === 'date') {
+        const rangeVal = filters[c.name] || { min: '', max: '' };
+        return `<td class="range-filter"${pin}>
+          <input type="date" title="From" data-filter="${eName}" data-range="min" value="${escapeHtml(rangeVal.min || '')}">
+          <input type="date" title="To" data-filter="${eName}" data-range="max" value="${escapeHtml(rangeVal.max || '')}">
+        </td>`;
+      } else {
+        return `<td${pin}><input type="text" placeholder="Filter..." data-filter="${eName}" data-type="text" value="${escapeHtml(filters[c.name] || '')}"></td>`;
+      }
+    }) +
+    '</tr>';
+  headerWindow = `${layout.pinned}:${layout.start}:${layout.end}`;
+
+  if (!focus) return;
+  const input = [...thead.querySelectorAll('[data-filter]')]
+    .find(el => el.dataset.filter === focus.filter && el.dataset.range === focus.range);
+  if (!input) return; // Scrolled out of view
+  input.value = focus.value;
+  input.focus();
+  if (input.type === 'text' && focus.caret != null) input.setSelectionRange(focus.caret, focus.caret);
+}
 
-    // Setup filter input handlers with debounce
-    let filterTimeout;
-    // Text inputs
-    tableDiv.querySelectorAll('.filter-row input[data-type="text"]').forEach(input => {
-      input.addEventListener('input', (e) => {
-        clearTimeout(filterTimeout);
-        filterTimeout = setTimeout(() => handleFilter(e.target.dataset.filter, e.target.value), 300);
+function renderRow(row, index, layout) {
+  const term = viewSearch()?.text ?? '';
+  const bounds = selection && selectionBounds(selection);
+  const inSelection = bounds && index >= bounds.top && index <= bounds.bottom;
+  const rowSelected = inSelection && wholeRowsSelected(bounds);
+  return `<tr class="data-row" data-row="${index}">` +
+    `<td class="row-num${rowSelected ? ' selected' : ''}" title="Show the whole row (drag or Shift+click to select rows)">${(index + 1).toLocaleString()}</td>` +
+    layoutCells(layout, 'td', (c, i) => {
+      const val = row[c.name];
+      const classes = [
+        searchMatch?.row === index && searchMatch.col === i ? 'current-match' : null,
+        inSelection && i >= bounds.left && i <= bounds.right ? 'selected' : null
+      ].filter(Boolean);
+      const attrs = ` data-col="${i}"${pinAttrs(i, layout)}`;
+      if (val != null && isNestedType(c.type)) return renderNestedCell(val, c.type, attrs, { term, classes });
+      const display = val === null ? '' : formatValue(val, c.type, displayOptions);
+      return dataCellHtml({
+        classes, attrs, title: `[${c.type}] ${display}`, value: display, content: highlightMatches(display, term)
       });
-    });
-    // Range inputs (number and date)
-    tableDiv.querySelectorAll('.filter-row input[data-range]').forEach(input => {
-      const handler = (e) => {
-        clearTimeout(filterTimeout);
-        filterTimeout = setTimeout(() => handleRangeFilter(e.target.dataset.filter, e.target.dataset.range, e.target.value), 300);
-      };
-      input.addEventListener('input', handler);
-      input.addEventListener('change', handler);
-    });
-    // Select dropdowns
-    tableDiv.querySelectorAll('.filter-row select').forEach(select => {
-      select.addEventListener('change', (e) => handleFilter(e.target.dataset.filter, e.target.value));
-    });
+    }) + '</tr>';
+}
+
+// Nested values arrive as JSON text. Rows have a fixed height, so the cell
+// shows a one-line preview and clicking opens the full tree in the drawer.
+function renderNestedCell(json, type, attrs = '', { term = '', classes = [] } = {}) {
+  const preview = nestedPreview(json);
+  const title = json.length > 500 ? json.slice(0, 499) + '…' : json;
+  return dataCellHtml({
+    classes: ['nested', ...classes], attrs, title: `[${type}] ${title}`, value: json, content: highlightMatches(preview, term)
+  });
+}
+
+// The one-line text a nested cell shows
+function nestedPreview(json) {
+  try {
+    return jsonPreview(JSON.parse(json));
+  } catch (e) {
+    return String(json);
   }
+}
+
+// Scroll a cell (view row, index into columns) into view. Rows and, in wide
+// tables, columns outside the rendered window are reached by scroll position
+// first, then the rendered cell is scrolled to.
+function scrollCellIntoView(row, col, block = 'nearest') {
+  const layout = columnLayout();
+  if (layout.wide && col >= layout.pinned) {
+    // Scrollable columns start after the fixed ones, at scrollLeft 0
+    const visibleWidth = tableDiv.clientWidth - ROW_NUM_WIDTH - layout.pinned * COL_WIDTH;
+    const left = (col - layout.pinned) * COL_WIDTH;
+    if (left < tableDiv.scrollLeft) {
+      tableDiv.scrollLeft = left;
+    } else if (left + COL_WIDTH > tableDiv.scrollLeft + visibleWidth) {
+      tableDiv.scrollLeft = left + COL_WIDTH - visibleWidth;
+    }
+  }
+  if (!tableDiv.querySelector(`tr[data-row="${row}"]`)) {
+    tableDiv.scrollTop = scrollTopForRow(row, { viewportHeight: tableDiv.clientHeight, rowHeight, totalRows: viewRows });
+  }
+  renderWindow();
+  tableDiv.querySelector(`tr[data-row="${row}"] td[data-col="${col}"]`)?.scrollIntoView({ block, inline: 'nearest' });
+}
+
+// Row whose page hasn't been fetched yet
+function renderPlaceholderRow(index, layout) {
+  return '<tr class="data-row pending">' +
+    `<td class="row-num">${(index + 1).toLocaleString()}</td>` +
+    `<td colspan="${layout.cellCount - 1}">…</td></tr>`;
+}
 
+// Render only the rows (and for wide tables, the columns) inside the scroll
+// viewport, padded by spacer rows and cells
+function renderWindow() {
   const tbody = document.getElementById('tbody');
-  const html = rows.map((row, i) => {
-    const rowNum = rowOffset + i + 1;
-    return '<tr>' +
-      `<td class="row-num">${rowNum.toLocaleString()}</td>` +
-      cols.map(c => {
-        const val = row[c.name];
-        const display = val === null ? '' : formatValue(val, c.type);
-        const escaped = escapeHtml(display);
-        return `<td title="${escapeHtml(`[${c.type}] ${display}`)}" data-value="${escaped}">${escaped}</td>`;
-      }).join('') + '</tr>';
-  }).join('');
+  if (!tbody) return;
+
+  const layout = columnLayout();
+  if (headerWindow !== `${layout.pinned}:${layout.start}:${layout.end}`) renderHeader(layout);
+
+  const win = computeWindow({
+    scrollTop: tableDiv.scrollTop,
+    viewportHeight: tableDiv.clientHeight,
+    rowHeight,
+    totalRows: viewRows,
+    overscan: OVERSCAN
+  });
 
-  rowOffset += rows.length;
-  tbody.insertAdjacentHTML('beforeend', html);
+  const colspan = layout.cellCount;
+  let html = `<tr class="spacer"><td colspan="${colspan}" style="height: ${win.topPad}px"></td></tr>`;
+  for (let i = win.start; i < win.end; i++) {
+    const row = pageCache.get(Math.floor(i / CHUNK))?.[i % CHUNK];
+    html += row ? renderRow(row, i, layout) : renderPlaceholderRow(i, layout);
+  }
+  html += `<tr class="spacer"><td colspan="${colspan}" style="height: ${win.bottomPad}px"></td></tr>`;
+  tbody.innerHTML = html;
+
+  // Row height depends on fonts/zoom, so measure it from the first rendered
+  // row (placeholders share the same padding and line height)
+  const firstRow = tbody.querySelector('tr.data-row');
+  if (firstRow && firstRow.offsetHeight && firstRow.offsetHeight !== rowHeight) {
+    rowHeight = firstRow.offsetHeight;
+    scheduleRender();
+  }
+
+  requestPages(pagesForRange(win.start, win.end, CHUNK));
 }
 
-// Sort handler
-async function handleSort(colName) {
-  // Toggle sort direction
-  if (sortColumn === colName) {
-    sortDirection = sortDirection === 'ASC' ? 'DESC' : 'ASC';
-  } else {
-    sortColumn = colName;
-    sortDirection = 'ASC';
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    renderWindow();
+  });
+}
+
+// Queue pages for fetching. Pages are fetched one at a time so fast scrolling
+// doesn't pile up queries for rows that are no longer on screen.
+function requestPages(pages) {
+  if (!currentRelation) return; // Static results are fully cached
+  wantedPages = pages.filter(p => !pageCache.has(p));
+  if (!fetchingPages) drainPageQueue();
+}
+
+async function drainPageQueue() {
+  fetchingPages = true;
+  try {
+    while (wantedPages.length > 0) {
+      const page = wantedPages.shift();
+      if (pageCache.has(page)) continue;
+      const generation = cacheGeneration;
+      const rows = await getRows(currentRelation, columns, CHUNK, page * CHUNK, sortStack, filters, columnMeta, filterTree, viewSearch());
+      if (generation !== cacheGeneration) continue;
+      pageCache.set(page, rows);
+      evictPages(page);
+      scheduleRender();
+    }
+  } catch (e) {
+    handleError(e);
+  } finally {
+    fetchingPages = false;
+  }
+}
+
+// Drop cached pages farthest from the one just fetched
+function evictPages(currentPage) {
+  if (pageCache.size <= MAX_CACHED_PAGES) return;
+  const byDistance = [...pageCache.keys()].sort((a, b) => Math.abs(b - currentPage) - Math.abs(a - currentPage));
+  for (const page of byDistance.slice(0, pageCache.size - MAX_CACHED_PAGES)) {
+    pageCache.delete(page);
   }
+}
+
+// Discard cached pages and scroll back to the top (after sort/filter changes)
+function resetView(rowCount) {
+  cacheGeneration++;
+  searchMatch = null;
+  selection = null;
+  renderSelectionBar();
+  pageCache = new Map();
+  wantedPages = [];
+  viewRows = rowCount;
+  tableDiv.scrollTop = 0;
+}
 
-  // Reset offset and reload data
-  offset = 0;
+// Sort handler: a plain click sorts by the column alone, shift-click adds it
+// as a secondary key
+async function handleSort(colName, append = false) {
+  if (!currentRelation) return;
+  sortStack = nextSortStack(sortStack, colName, append);
   await reloadData();
 }
 
 // Filter handler
 async function handleFilter(colName, value) {
+  if (!currentRelation) return;
   filters[colName] = value;
-  offset = 0;
   await reloadData();
 }
 
 // Range filter handler
 async function handleRangeFilter(colName, rangeType, value) {
+  if (!currentRelation) return;
   if (!filters[colName] || typeof filters[colName] !== 'object') {
     filters[colName] = { min: '', max: '' };
   }
   filters[colName][rangeType] = value;
-  offset = 0;
   await reloadData();
 }
 
 // Reload data with current sort/filter state
 async function reloadData() {
+  const request = ++viewRequest;
   status.classList.add('loading');
   status.textContent = 'Loading...';
 
   try {
-    const rows = await getRows(currentSource, columns, CHUNK, 0, sortColumn, sortDirection, filters, columnMeta);
-    offset = rows.length;
-
-    // Update filtered row count for pagination
-    const hasFilters = Object.values(filters).some(v => {
-      if (typeof v === 'object') return v.min !== '' || v.max !== '';
-      return v && v.trim && v.trim();
-    });
+    // Update filtered row count for the scroll height
+    const hasFilters = hasActiveFilters(filters, filterTree, columnMeta, viewSearch());
     const filteredCount = hasFilters
-      ? await getFilteredRowCount(currentSource, filters, columnMeta)
+      ? await getFilteredRowCount(currentRelation, filters, columnMeta, filterTree, viewSearch())
       : totalRows;
+    // A newer sort/filter change took over while this one was counting
+    if (request !== viewRequest) return;
 
-    renderRows(rows, columns, false);
+    resetView(filteredCount);
+    updateHeaderIndicators();
+    renderSortBar();
+    renderWindow();
 
-    const filename = currentSource.split('/').pop().split('?')[0];
     const filterNote = hasFilters ? ` (filtered: ${filteredCount.toLocaleString()})` : '';
-    status.textContent = `${filename} — ${totalRows.toLocaleString()} rows × ${columns.length} cols${filterNote}`;
+    status.textContent = statusText + filterNote;
     status.classList.remove('loading');
+    syncViewState();
+  } catch (e) {
+    if (request === viewRequest) handleError(e);
+  }
+}
+
+// Refresh sort indicators in place so filter inputs keep focus
+function updateHeaderIndicators() {
+  tableDiv.querySelectorAll('th.sortable').forEach(th => {
+    th.classList.toggle('sorted', sortStack.some(key => key.col === th.dataset.column));
+    th.querySelector('.sort-indicator').outerHTML = getSortIndicator(th.dataset.column);
+    th.title = th.title.replace(/\n.*$/, `\n${getSortHint(th.dataset.column)}`);
+  });
+}
+
+// Sort keys above the grid, where NULL placement is chosen and keys removed
+function renderSortBar() {
+  sortBar.classList.toggle('hidden', sortStack.length === 0 || !currentRelation);
+  sortBar.innerHTML = 'Sorted by ' + sortStack.map((key, i) => {
+    const eName = escapeHtml(key.col);
+    return `<span class="sort-key" data-column="${eName}">` +
+      `<button type="button" class="sort-dir" title="Toggle direction">${sortStack.length > 1 ? `${i + 1}. ` : ''}${escapeHtml(truncateColumnName(key.col))} ${key.dir === 'ASC' ? '▲' : '▼'}</button>` +
+      `<button type="button" class="sort-nulls" title="Toggle where NULLs go">NULLs ${key.nulls.toLowerCase()}</button>` +
+      `<button type="button" class="sort-remove" title="Remove from the sort">×</button></span>`;
+  }).join('') +
+    '<button type="button" class="sort-clear">Clear sort</button>';
+}
 
-    // Update buttons with filtered count respecting cap
-    const cap = Math.min(filteredCount, MAX_ROWS);
-    const remaining = cap - offset;
-    if (remaining <= 0) {
-      const capped = filteredCount > MAX_ROWS;
-      moreBtn.textContent = capped ? `${MAX_ROWS.toLocaleString()} row limit reached` : 'All rows loaded';
-      moreBtn.disabled = true;
-      loadAllBtn.disabled = true;
+function setupSortBar() {
+  sortBar.addEventListener('click', async (e) => {
+    if (!currentRelation) return;
+    const col = e.target.closest('.sort-key')?.dataset.column;
+    if (e.target.closest('.sort-clear')) {
+      sortStack = [];
+    } else if (e.target.closest('.sort-dir')) {
+      sortStack = sortStack.map(key => key.col === col ? { ...key, dir: key.dir === 'ASC' ? 'DESC' : 'ASC' } : key);
+    } else if (e.target.closest('.sort-nulls')) {
+      sortStack = toggleSortNulls(sortStack, col);
+    } else if (e.target.closest('.sort-remove')) {
+      sortStack = sortStack.filter(key => key.col !== col);
     } else {
-      moreBtn.textContent = `Load next ${CHUNK} (${remaining.toLocaleString()} remaining)`;
-      moreBtn.disabled = false;
-      loadAllBtn.disabled = false;
-      const capNote = filteredCount > MAX_ROWS ? ` (${MAX_ROWS.toLocaleString()} row limit)` : '';
-      loadAllBtn.textContent = `Load all${capNote}`;
+      return;
     }
-  } catch (e) {
-    handleError(e);
-  }
+    await reloadData();
+  });
+}
+
+// Header sort/profile/flatten clicks and filter inputs. The header is
+// re-rendered as wide tables scroll, so the handlers are delegated.
+function setupHeaderEvents() {
+  tableDiv.addEventListener('click', (e) => {
+    const th = e.target.closest('th.sortable');
+    if (!th) return;
+    const flattenBtn = e.target.closest('.flatten-btn');
+    if (flattenBtn) {
+      toggleFlatten(flattenBtn.dataset.struct);
+    } else if (e.target.closest('.profile-btn')) {
+      openColumnProfile(th.dataset.column);
+    } else if (e.ctrlKey || e.metaKey) {
+      selectColumn(th.dataset.column, e.shiftKey);
+    } else {
+      handleSort(th.dataset.column, e.shiftKey);
+    }
+  });
+
+  // Text and range (number and date) inputs are debounced
+  const debounced = (el) => {
+    clearTimeout(filterTimeout);
+    filterTimeout = el.dataset.range
+      ? setTimeout(() => handleRangeFilter(el.dataset.filter, el.dataset.range, el.value), 300)
+      : setTimeout(() => handleFilter(el.dataset.filter, el.value), 300);
+  };
+  tableDiv.addEventListener('input', (e) => {
+    if (e.target.matches('.filter-row input[data-type="text"], .filter-row input[data-range]')) debounced(e.target);
+  });
+  tableDiv.addEventListener('change', (e) => {
+    if (e.target.matches('.filter-row input[data-range]')) {
+      debounced(e.target);
+    } else if (e.target.matches('.filter-row select')) {
+      handleFilter(e.target.dataset.filter, e.target.value);
+    }
+  });
 }
 
 // Click-to-copy functionality
 function setupClickToCopy() {
   tableDiv.addEventListener('click', async (e) => {
-    const td = e.target.closest('td:not(.row-num)');
+    if (selectionDragged || e.shiftKey) return; // The click ended a drag or extended the selection
+    const rowNum = e.target.closest('tr.data-row:not(.pending) td.row-num');
+    if (rowNum) {
+      openRowDetail(Number(rowNum.parentElement.dataset.row));
+      return;
+    }
+    const td = e.target.closest('tr.data-row:not(.pending) td[data-col]');
     if (!td) return;
 
+    if (td.classList.contains('nested')) {
+      const col = columns[td.dataset.col];
+      openNestedDetail(col.name, col.type, td.dataset.value);
+      return;
+    }
+
     const value = td.dataset.value || td.textContent;
     try {
       await navigator.clipboard.writeText(value);
@@ -457,35 +1057,23 @@ function setupClickToCopy() {
   });
 }
 
-function updateButtons() {
-  buttons.classList.remove('hidden');
-  const cap = Math.min(totalRows, MAX_ROWS);
-  const remaining = cap - offset;
-  if (remaining <= 0) {
-    const capped = totalRows > MAX_ROWS;
-    moreBtn.textContent = capped ? `${MAX_ROWS.toLocaleString()} row limit reached` : 'All rows loaded';
-    moreBtn.disabled = true;
-    loadAllBtn.disabled = true;
-  } else {
-    moreBtn.textContent = `Load next ${CHUNK} (${remaining.toLocaleString()} remaining)`;
-    moreBtn.disabled = false;
-    loadAllBtn.disabled = false;
-    const capNote = totalRows > MAX_ROWS ? ` (${MAX_ROWS.toLocaleString()} row limit)` : '';
-    loadAllBtn.textContent = `Load all${capNote}`;
-  }
+function setupVirtualScroll() {
+  tableDiv.addEventListener('scroll', () => {
+    scheduleRender();
+    clearTimeout(syncTimeout);
+    syncTimeout = setTimeout(syncViewState, 300);
+  });
+  window.addEventListener('resize', scheduleRender);
 }
 
 // === File Size Fetching ===
 
 async function getFileSize(url) {
   try {
-    const response = await fetch(url, { method: 'HEAD' });
+    const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(TIMEOUT_MS) });
     const size = response.headers.get('content-length');
     if (size) {
-      const bytes = parseInt(size, 10);
-      if (bytes < 1024) return `${bytes} B`;
-      if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+      return parseInt(size, 10);
     }
   } catch (e) {
     // Ignore - file size is optional
@@ -513,8 +1101,74 @@ function setupUrlBar() {
   });
 }
 
-async function loadParquet(source, isUrl = true) {
+// Arrow IPC has no table function in DuckDB-wasm, so the record batches are
+// inserted into a table that stands in for the file
+const ARROW_TABLE = 'arrow_data';
+async function loadArrowTable(source, isUrl, table = ARROW_TABLE) {
+  status.textContent = 'Reading Arrow IPC...';
+  status.classList.add('loading');
+  let bytes;
+  if (isUrl) {
+    const response = await fetch(source, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${source}`);
+    bytes = new Uint8Array(await response.arrayBuffer());
+  } else {
+    bytes = await db.copyFileToBuffer(source);
+    await db.dropFile(source);
+  }
+  await runQuery(`DROP TABLE IF EXISTS ${table}`);
+  await conn.insertArrowFromIPCStream(arrowIpcStream(bytes), { name: table });
+  return table;
+}
+
+// First bytes of a URL for format sniffing (null if unavailable)
+async function readMagicBytes(url) {
+  try {
+    const response = await fetch(url, { headers: { Range: 'bytes=0-15' }, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!response.ok) return null;
+    // Servers without range support send the whole file; stop after one chunk
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    reader.cancel();
+    return value ? value.subarray(0, 16) : null;
+  } catch (e) {
+    return null; // Fall back to the default format
+  }
+}
+
+// Format of a URL source: its extension, else its first bytes, else Parquet.
+// `readUrl` is what gets fetched when it differs from the URL (signed URLs).
+async function detectUrlFormat(url, readUrl = url) {
+  return formatFromName(url) ?? detectFormat(url, await readMagicBytes(readUrl)) ?? 'parquet';
+}
+
+// `hash` carries sort/filters/columns/scroll: the page's own for URL sources,
+// or the state saved in history when a local file is reopened
+// `file` is a single local file's { size, lastModified }, for its history key
+async function loadSource(source, isUrl = true, format = 'parquet', { hash = isUrl ? location.hash : '', size = null, readUrl = source, file = {} } = {}) {
   currentSource = source;
+  readSource = readUrl;
+  currentFormat = format;
+  currentIsUrl = isUrl;
+  currentKey = historyKey(source, isUrl, file);
+  recentDiv.classList.add('hidden');
+  openSourceBtn.classList.add('hidden');
+  currentRelation = format === 'arrow' ? await loadArrowTable(readUrl, isUrl) : sourceRelation(readUrl, format);
+  partitionColumns = Array.isArray(source) ? hivePartitionKeys(source) : [];
+  fileView = null;
+  setBackButtons(false);
+  fileInfoSource = null;
+  profileColumn = null;
+  chartColumn = null;
+  summaryRelation = null;
+  columnProfileDiv.innerHTML = '';
+  chartArea.innerHTML = '';
+  summaryDiv.innerHTML = '';
+  compareSource = null;
+  compareSummaryDiv.innerHTML = '';
+  compareRowsDiv.innerHTML = '';
+  aggregateDraft = newAggregateDraft();
+  showTab('data');
 
   // Show URL bar for URL sources
   if (isUrl) {
@@ -524,18 +1178,33 @@ async function loadParquet(source, isUrl = true) {
   }
 
   // Reset sort/filter state for new file
-  sortColumn = null;
-  sortDirection = null;
+  sortStack = [];
   filters = {};
+  filterTree = null;
+  searchText = searchInput.value = '';
+
+  // Sort/filters/columns/scroll from a shared link or history
+  const sharedState = parseViewState(hash);
 
   // Show loading state
   status.textContent = 'Reading schema...';
   status.classList.add('loading');
 
   // Get schema
-  const allCols = await getSchema(source);
-  columns = allCols.slice(0, MAX_COLS);
-  renderSchema(columns, allCols.length);
+  const allCols = await getSchema(currentRelation);
+  allColumns = allCols;
+  columns = selectColumns(allCols, sharedState.cols);
+  const shown = new Set(columns.map(c => c.name));
+  columnOrder = [...shown, ...allCols.map(c => c.name).filter(name => !shown.has(name))];
+  hiddenColumns = new Set(allCols.map(c => c.name).filter(name => !shown.has(name)));
+  pinnedColumns = new Set();
+  baseRelation = currentRelation;
+  baseColumns = columns;
+  flattenedStructs = new Set();
+  computedColumns = [];
+  computedNotice = '';
+  schemaDiv.innerHTML = '<div id="column-chooser"></div><div id="computed-columns"></div>';
+  renderColumnChooser();
 
   // Handle empty schema (0 columns)
   if (allCols.length === 0) {
@@ -545,186 +1214,2444 @@ async function loadParquet(source, isUrl = true) {
   }
 
   status.textContent = 'Counting rows...';
-  totalRows = await getRowCount(source);
+  totalRows = await getRowCount(currentRelation);
+  if (Array.isArray(source)) {
+    renderFileBreakdown(await getFileRowCounts(source));
+  }
+
+  // Expose the file to the SQL console
+  await runQuery(`CREATE OR REPLACE VIEW ${SQL_VIEW} AS SELECT * FROM ${currentRelation}`);
+  sqlConsole.classList.remove('hidden');
+  tabsBar.classList.remove('hidden');
+
+  // Computed columns from a shared link, or else the ones saved for this source
+  await restoreComputedColumns(sharedState.computed);
 
   // Handle empty file (0 rows)
   if (totalRows === 0) {
-    const filename = isUrl ? source.split('/').pop().split('?')[0] : source;
+    const filename = sourceLabel(source);
     status.textContent = `${filename} — Empty file (0 rows × ${allCols.length} cols)`;
     status.classList.remove('loading');
-    renderRows([], columns);
+    resetView(0);
+    renderTable(columns);
+    resetFilterBuilder();
     return;
   }
 
   // Get column metadata for smart filters
   status.textContent = 'Analyzing columns...';
-  columnMeta = await getColumnMeta(source, columns);
-
-  // Build status with optional file size
-  const filename = isUrl ? source.split('/').pop().split('?')[0] : source;
-  let statusText = `${filename} — ${totalRows.toLocaleString()} rows × ${allCols.length} cols`;
-
-  let fileSizeStr = null;
-  if (isUrl) {
-    fileSizeStr = await getFileSize(source);
-    if (fileSizeStr) statusText += ` — ${fileSizeStr}`;
+  columnMeta = await getColumnMeta(currentRelation, columns);
+
+  // Apply the shared state only once it's been checked against the columns
+  const restored = validateViewState(sharedState, columns, columnMeta);
+  sortStack = restored.sort;
+  filters = restored.filterMap;
+  filterTree = restored.filterTree;
+  searchText = searchInput.value = restored.search;
+  if (restored.pinned.length > 0) {
+    pinnedColumns = new Set(restored.pinned);
+    baseColumns = chosenColumns();
+    deriveGridColumns();
+    renderColumnChooser();
   }
 
-  // Update Load all button tooltip
-  const cappedNote = totalRows > MAX_ROWS ? `\nCapped at ${MAX_ROWS.toLocaleString()} rows for performance.` : '';
-  const loadAllTooltip = `Load all ${totalRows.toLocaleString()} rows.${cappedNote}\n` +
-    (fileSizeStr ? `File size: ${fileSizeStr}\n` : '');
-  loadAllBtn.title = loadAllTooltip;
+  // Build status with optional file size
+  const filename = sourceLabel(source);
+  statusText = `${filename} — ${totalRows.toLocaleString()} rows × ${allCols.length} cols`;
 
-  status.textContent = statusText + ' — Loading first rows...';
+  const fileSize = isUrl ? await getFileSize(readUrl) : size;
+  if (isUrl) sourceSize ??= fileSize;
+  if (fileSize != null) statusText += ` — ${formatBytes(fileSize)}`;
 
-  // Load first chunk
-  const rows = await getRows(source, columns, CHUNK, 0, sortColumn, sortDirection, filters, columnMeta);
-  offset = rows.length;
+  const hasFilters = hasActiveFilters(filters, filterTree, columnMeta, viewSearch());
+  const filteredCount = hasFilters
+    ? await getFilteredRowCount(currentRelation, filters, columnMeta, filterTree, viewSearch())
+    : totalRows;
 
-  renderRows(rows, columns);
-  status.textContent = statusText;
+  // Render the table; rows are fetched page by page as they scroll into view
+  resetView(filteredCount);
+  renderTable(columns);
+  resetFilterBuilder();
+  if (restored.row > 0) {
+    tableDiv.scrollTop = scrollTopForRow(Math.min(restored.row, filteredCount - 1), {
+      viewportHeight: tableDiv.clientHeight,
+      rowHeight,
+      totalRows: filteredCount
+    });
+  }
+  const filterNote = hasFilters ? ` (filtered: ${filteredCount.toLocaleString()})` : '';
+  status.textContent = statusText + filterNote;
   status.classList.remove('loading');
-  updateButtons();
+  buttons.classList.remove('hidden');
+  await recordHistory({ size: fileSize, rows: totalRows, cols: allCols.length });
+  syncViewState();
 
-  // Download button for URL sources
-  downloadBtn.onclick = () => window.open(source, '_blank');
-  downloadBtn.style.display = isUrl ? 'inline-block' : 'none';
+  // Download and share buttons for URL sources
+  downloadBtn.onclick = () => window.open(readUrl, '_blank');
+  downloadBtn.style.display = isUrl && !parseStorageUri(source) ? 'inline-block' : 'none';
+  copyLinkBtn.style.display = isUrl ? 'inline-block' : 'none';
 }
 
-async function loadMore() {
-  moreBtn.disabled = true;
-  moreBtn.textContent = 'Loading...';
-
-  try {
-    const chunkSize = Math.min(CHUNK, MAX_ROWS - offset);
-    if (chunkSize <= 0) {
-      moreBtn.textContent = `${MAX_ROWS.toLocaleString()} row limit reached`;
-      moreBtn.disabled = true;
-      loadAllBtn.disabled = true;
-      return;
-    }
-
-    const rows = await getRows(currentSource, columns, chunkSize, offset, sortColumn, sortDirection, filters, columnMeta);
-    offset += rows.length;
+// === Filter Builder ===
 
-    renderRows(rows, columns, true);
+// Load the applied tree into the builder. Static console results can't be
+// re-queried, so the builder is hidden for them.
+function resetFilterBuilder() {
+  filterDraft = filterTree ? structuredClone(filterTree) : emptyFilterGroup();
+  filterBuilder.classList.toggle('hidden', !currentRelation);
+  renderFilterBuilder();
+}
 
-    // Update button with correct count based on filters
-    const hasFilters = Object.values(filters).some(v => {
-      if (typeof v === 'object') return v.min !== '' || v.max !== '';
-      return v && v.trim && v.trim();
-    });
-    const filteredCount = hasFilters
-      ? await getFilteredRowCount(currentSource, filters, columnMeta)
-      : totalRows;
-    const cap = Math.min(filteredCount, MAX_ROWS);
-    const remaining = cap - offset;
-    if (remaining <= 0) {
-      const capped = filteredCount > MAX_ROWS;
-      moreBtn.textContent = capped ? `${MAX_ROWS.toLocaleString()} row limit reached` : 'All rows loaded';
-      moreBtn.disabled = true;
-      loadAllBtn.disabled = true;
-    } else {
-      moreBtn.textContent = `Load next ${CHUNK} (${remaining.toLocaleString()} remaining)`;
-      moreBtn.disabled = false;
-    }
-  } catch (e) {
-    handleError(e);
-  }
+function renderFilterBuilder() {
+  filterTreeDiv.innerHTML = filterGroupHtml(filterDraft, '');
+  const count = countFilterConditions(filterTree);
+  filterCount.textContent = count > 0 ? `(${count} applied)` : '';
 }
 
-async function loadAll() {
-  // Get current filtered count
-  const hasFilters = Object.values(filters).some(v => {
-    if (typeof v === 'object') return v.min !== '' || v.max !== '';
-    return v && v.trim && v.trim();
-  });
-  const filteredCount = hasFilters
-    ? await getFilteredRowCount(currentSource, filters, columnMeta)
-    : totalRows;
+// Paths address nodes by item index from the root group, e.g. '0.2'
+function filterNodeAt(path) {
+  if (path === '') return filterDraft;
+  return path.split('.').reduce((node, i) => node.items[Number(i)], filterDraft);
+}
 
-  const cap = Math.min(filteredCount, MAX_ROWS);
-  if (offset >= cap) return;
+function newFilterCondition(colName = columns[0]?.name) {
+  const col = columns.find(c => c.name === colName);
+  const ops = filterOperatorsFor(col ? col.type : '');
+  const operator = ops.includes('contains') ? 'contains' : ops[0];
+  return { type: 'condition', column: colName, operator, value: emptyFilterValue(operator) };
+}
 
-  loadAllBtn.disabled = true;
-  moreBtn.disabled = true;
-  loadAllBtn.textContent = '⚠ Loading all...';
+function emptyFilterValue(operator) {
+  const arity = FILTER_OPERATORS[operator].arity;
+  if (arity === 2) return ['', ''];
+  if (arity === 'list') return [];
+  return arity === 1 ? '' : undefined;
+}
 
-  try {
-    // Load in batches to show progress
-    const BATCH = 1000;
-    while (offset < cap) {
-      const batchSize = Math.min(BATCH, cap - offset);
-      const rows = await getRows(currentSource, columns, batchSize, offset, sortColumn, sortDirection, filters, columnMeta);
-      if (rows.length === 0) break;
-      offset += rows.length;
-      renderRows(rows, columns, true);
-      loadAllBtn.textContent = `Loading... ${offset.toLocaleString()}/${cap.toLocaleString()}`;
-    }
-
-    const capped = filteredCount > MAX_ROWS;
-    loadAllBtn.textContent = capped ? `Loaded ${MAX_ROWS.toLocaleString()} (row limit)` : 'All loaded';
-    moreBtn.textContent = capped ? `${MAX_ROWS.toLocaleString()} row limit reached` : 'All rows loaded';
-    moreBtn.disabled = true;
-    loadAllBtn.disabled = true;
-  } catch (e) {
-    handleError(e);
-  }
+function filterGroupHtml(group, path) {
+  const items = group.items.map((item, i) => {
+    const itemPath = path === '' ? String(i) : `${path}.${i}`;
+    return item.type === 'group' ? filterGroupHtml(item, itemPath) : filterConditionHtml(item, itemPath);
+  }).join('');
+  return `<div class="filter-group" data-path="${path}">
+    <div class="filter-group-head">
+      <select data-field="op">
+        <option value="AND"${group.op === 'AND' ? ' selected' : ''}>Match all of</option>
+        <option value="OR"${group.op === 'OR' ? ' selected' : ''}>Match any of</option>
+      </select>
+      ${path === '' ? '' : '<button data-action="remove" title="Remove group">✕</button>'}
+    </div>
+    ${items}
+    <button data-action="add-condition">+ Condition</button>
+    <button data-action="add-group">+ Group</button>
+  </div>`;
 }
 
-// === Local File Handling ===
+function filterConditionHtml(cond, path) {
+  const col = columns.find(c => c.name === cond.column);
+  const meta = columnMeta[cond.column] || {};
+  const arity = FILTER_OPERATORS[cond.operator].arity;
+
+  let valueHtml = '';
+  if (arity === 1) {
+    const placeholder = cond.operator === 'regex' ? 'Regular expression' : 'Value';
+    valueHtml = `<input data-field="value" placeholder="${placeholder}" value="${escapeHtml(cond.value)}">`;
+  } else if (arity === 2) {
+    valueHtml = ['Min', 'Max'].map((label, i) =>
+      `<input data-field="value" data-index="${i}" placeholder="${label}" value="${escapeHtml(cond.value[i])}">`
+    ).join(' and ');
+  } else if (arity === 'list' && meta.values) {
+    // Categorical columns pick from their known values
+    const size = Math.min(meta.values.length, 6);
+    valueHtml = `<select multiple data-field="value" size="${size}">` + meta.values.map(v => {
+      const selected = cond.value.includes(String(v)) ? ' selected' : '';
+      return `<option value="${escapeHtml(v)}"${selected}>${escapeHtml(v)}</option>`;
+    }).join('') + '</select>';
+  } else if (arity === 'list') {
+    valueHtml = `<input data-field="value" data-list placeholder="Comma-separated values" value="${escapeHtml(cond.value.join(', '))}">`;
+  }
 
-async function handleLocalFile(file) {
-  status.textContent = `Registering ${file.name}...`;
-  status.classList.add('loading');
+  return `<div class="filter-condition" data-path="${path}">
+    <select data-field="column">${columns.map(c =>
+      `<option value="${escapeHtml(c.name)}"${c.name === cond.column ? ' selected' : ''}>${escapeHtml(truncateColumnName(c.name))}</option>`
+    ).join('')}</select>
+    <select data-field="operator">${filterOperatorsFor(col ? col.type : '').map(op =>
+      `<option value="${op}"${op === cond.operator ? ' selected' : ''}>${escapeHtml(FILTER_OPERATORS[op].label)}</option>`
+    ).join('')}</select>
+    ${valueHtml}
+    <button data-action="remove" title="Remove condition">✕</button>
+  </div>`;
+}
 
-  const buffer = await file.arrayBuffer();
-  await db.registerFileBuffer(file.name, new Uint8Array(buffer));
-  await loadParquet(file.name, false);
+async function applyFilterBuilder() {
+  if (!currentRelation) return;
+  filterTree = countFilterConditions(filterDraft) > 0 ? structuredClone(filterDraft) : null;
+  renderFilterBuilder();
+  await reloadData();
 }
 
-function setupDragDrop() {
-  dropZone.classList.remove('hidden');
+function setupFilterBuilder() {
+  filterTreeDiv.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const path = btn.closest('[data-path]').dataset.path;
+    const node = filterNodeAt(path);
+    if (btn.dataset.action === 'add-condition') {
+      node.items.push(newFilterCondition());
+    } else if (btn.dataset.action === 'add-group') {
+      node.items.push({ ...emptyFilterGroup(node.op === 'AND' ? 'OR' : 'AND'), items: [newFilterCondition()] });
+    } else if (btn.dataset.action === 'remove') {
+      const parts = path.split('.');
+      const index = Number(parts.pop());
+      filterNodeAt(parts.join('.')).items.splice(index, 1);
+    }
+    renderFilterBuilder();
+  });
 
-  dropZone.ondragover = e => { e.preventDefault(); dropZone.classList.add('drag'); };
-  dropZone.ondragleave = () => dropZone.classList.remove('drag');
-  dropZone.ondrop = async e => {
-    e.preventDefault();
-    dropZone.classList.remove('drag');
-    const file = e.dataTransfer.files[0];
-    if (file?.name.endsWith('.parquet')) {
-      try {
-        await handleLocalFile(file);
-      } catch (err) {
-        handleError(err);
+  // Column/operator changes alter the value widget, so those re-render
+  filterTreeDiv.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    const node = filterNodeAt(e.target.closest('[data-path]').dataset.path);
+    if (field === 'op') {
+      node.op = e.target.value;
+    } else if (field === 'column') {
+      const fresh = newFilterCondition(e.target.value);
+      const col = columns.find(c => c.name === e.target.value);
+      node.column = fresh.column;
+      if (!filterOperatorsFor(col.type).includes(node.operator)) {
+        node.operator = fresh.operator;
       }
+      node.value = emptyFilterValue(node.operator);
+      renderFilterBuilder();
+    } else if (field === 'operator') {
+      const prevArity = FILTER_OPERATORS[node.operator].arity;
+      node.operator = e.target.value;
+      if (FILTER_OPERATORS[node.operator].arity !== prevArity) node.value = emptyFilterValue(node.operator);
+      renderFilterBuilder();
+    } else if (field === 'value' && e.target.multiple) {
+      node.value = [...e.target.selectedOptions].map(o => o.value);
+    }
+  });
+
+  filterTreeDiv.addEventListener('input', (e) => {
+    if (e.target.dataset.field !== 'value' || e.target.tagName !== 'INPUT') return;
+    const node = filterNodeAt(e.target.closest('[data-path]').dataset.path);
+    if ('index' in e.target.dataset) {
+      node.value[Number(e.target.dataset.index)] = e.target.value;
+    } else if ('list' in e.target.dataset) {
+      node.value = e.target.value.split(',').map(v => v.trim()).filter(v => v !== '');
     } else {
-      showError('Invalid file', '', 'Please drop a .parquet file.');
+      node.value = e.target.value;
     }
+  });
+
+  filterTreeDiv.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') applyFilterBuilder();
+  });
+  filterApplyBtn.onclick = applyFilterBuilder;
+  filterClearBtn.onclick = async () => {
+    filterDraft = emptyFilterGroup();
+    await applyFilterBuilder();
   };
 }
 
-// === Keyboard Shortcuts ===
+// === Global Search ===
+// The search box keeps rows with the text in any shown column (see
+// buildSearchClause) and highlights it; next/previous step through the
+// matching cells, fetching pages as they go.
 
-function setupKeyboardShortcuts() {
-  document.addEventListener('keydown', (e) => {
-    // Space to load more (when not in input/select)
-    if (e.code === 'Space' && !e.target.matches('input, textarea, select')) {
-      e.preventDefault();
-      if (!moreBtn.disabled && !buttons.classList.contains('hidden')) {
-        loadMore();
+function viewSearch() {
+  return currentRelation && searchText.trim() ? { text: searchText, cols: columns } : null;
+}
+
+async function handleSearch(text) {
+  searchText = text;
+  searchStatus.textContent = '';
+  await reloadData();
+}
+
+// Indexes of the columns whose displayed value contains the search text
+function rowMatchColumns(row) {
+  return columns.flatMap((c, i) => {
+    const val = row[c.name];
+    if (val == null) return [];
+    const text = isNestedType(c.type) ? nestedPreview(val) : formatValue(val, c.type, displayOptions);
+    return matchesSearch(text, searchText) ? [i] : [];
+  });
+}
+
+// Move to the next (step 1) or previous (step -1) matching cell, wrapping
+// around. SQL matches the CAST text, which for some types (e.g. time zones)
+// differs from the display, so rows without a visible match are skipped.
+async function stepSearchMatch(step) {
+  if (!viewSearch() || viewRows === 0) return;
+  let { row, col } = searchMatch ?? { row: step > 0 ? 0 : viewRows - 1, col: step > 0 ? -1 : columns.length };
+  try {
+    for (let scanned = 0; scanned < Math.min(viewRows + 1, SEARCH_SCAN_ROWS); scanned++) {
+      const data = await fetchRow(row);
+      if (!data) return; // The view changed meanwhile
+      const matches = rowMatchColumns(data);
+      const next = step > 0 ? matches.find(i => i > col) : matches.findLast(i => i < col);
+      if (next !== undefined) {
+        searchMatch = { row, col: next };
+        showSearchMatch();
+        return;
+      }
+      row = (row + step + viewRows) % viewRows;
+      col = step > 0 ? -1 : columns.length;
+    }
+    searchStatus.textContent = `No match shown in the next ${SEARCH_SCAN_ROWS.toLocaleString()} rows`;
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+// Scroll the selected match into view and outline it
+function showSearchMatch() {
+  const { row, col } = searchMatch;
+  searchStatus.textContent = `Row ${(row + 1).toLocaleString()} · ${truncateColumnName(columns[col].name)}`;
+  scrollCellIntoView(row, col, 'center');
+}
+
+function setupSearch() {
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => handleSearch(searchInput.value), 300);
+  });
+  searchInput.addEventListener('keydown', async (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    // Apply pending input before stepping, so Enter right after typing works
+    if (searchInput.value !== searchText) {
+      clearTimeout(searchTimeout);
+      await handleSearch(searchInput.value);
+    }
+    stepSearchMatch(e.shiftKey ? -1 : 1);
+  });
+  searchPrevBtn.onclick = () => stepSearchMatch(-1);
+  searchNextBtn.onclick = () => stepSearchMatch(1);
+}
+
+// === Cell Selection ===
+// Spreadsheet-style selection: drag or Shift+click over cells, row numbers
+// for whole rows, Ctrl/Cmd+click on headers for whole columns. Rows are view
+// positions, so a selection can cover pages that were never rendered; copying
+// fetches them.
+
+function setSelection(anchor, focus, { wholeColumns = false } = {}) {
+  selection = { anchor, focus, wholeColumns };
+  paintSelection();
+}
+
+function clearSelection() {
+  selection = null;
+  paintSelection();
+}
+
+function wholeRowsSelected(bounds) {
+  return bounds.left === 0 && bounds.right === columns.length - 1;
+}
+
+// Update the rendered cells in place; re-rendering the rows would replace
+// the cell under the mouse and swallow the click that follows
+function paintSelection() {
+  const bounds = selection && selectionBounds(selection);
+  tableDiv.querySelectorAll('tr.data-row[data-row]').forEach(tr => {
+    const row = Number(tr.dataset.row);
+    const inSelection = Boolean(bounds) && row >= bounds.top && row <= bounds.bottom;
+    tr.querySelector('.row-num').classList.toggle('selected', inSelection && wholeRowsSelected(bounds));
+    tr.querySelectorAll('td[data-col]').forEach(td => {
+      const col = Number(td.dataset.col);
+      td.classList.toggle('selected', inSelection && col >= bounds.left && col <= bounds.right);
+    });
+  });
+  renderSelectionBar();
+}
+
+// Shown once more than one cell is selected
+function renderSelectionBar() {
+  const bounds = selection && selectionBounds(selection);
+  const rows = bounds ? bounds.bottom - bounds.top + 1 : 0;
+  const cols = bounds ? bounds.right - bounds.left + 1 : 0;
+  selectionBar.classList.toggle('hidden', rows * cols <= 1);
+  if (rows * cols <= 1) return;
+  selectionInfo.textContent = `${rows.toLocaleString()} × ${cols.toLocaleString()} selected` +
+    (rows > MAX_COPY_ROWS ? ` (copies the first ${MAX_COPY_ROWS.toLocaleString()} rows)` : '');
+}
+
+function selectColumn(name, extend = false) {
+  const col = columns.findIndex(c => c.name === name);
+  if (col < 0 || viewRows === 0) return;
+  const anchor = extend && selection?.wholeColumns ? selection.anchor : { row: 0, col };
+  setSelection(anchor, { row: viewRows - 1, col }, { wholeColumns: true });
+}
+
+// Arrow keys move the selected cell; with Shift they extend the selection
+function moveSelection(rowStep, colStep, extend) {
+  const clamp = (value, max) => Math.max(0, Math.min(value, max));
+  const focus = {
+    row: clamp(selection.focus.row + rowStep, viewRows - 1),
+    col: clamp(selection.focus.col + colStep, columns.length - 1)
+  };
+  setSelection(extend ? selection.anchor : focus, focus, { wholeColumns: extend && selection.wholeColumns });
+  scrollCellIntoView(focus.row, focus.col);
+}
+
+async function copySelection(format) {
+  if (!selection) return;
+  const bounds = selectionBounds(selection);
+  const cols = columns.slice(bounds.left, bounds.right + 1);
+  const count = Math.min(bounds.bottom - bounds.top + 1, MAX_COPY_ROWS);
+  try {
+    const rows = currentRelation
+      ? await getRows(currentRelation, cols, count, bounds.top, sortStack, filters, columnMeta, filterTree, viewSearch())
+      : Array.from({ length: count }, (_, i) => fetchCachedRow(bounds.top + i)).filter(Boolean);
+    const text = formatSelection(rows, cols, format, { header: selection?.wholeColumns, ...displayOptions });
+    await navigator.clipboard.writeText(text);
+    selectionInfo.textContent = `Copied ${rows.length.toLocaleString()} ${rows.length === 1 ? 'row' : 'rows'} as ${COPY_FORMATS[format].label}`;
+    const cells = tableDiv.querySelectorAll('td.selected');
+    cells.forEach(td => td.classList.add('copied'));
+    setTimeout(() => cells.forEach(td => td.classList.remove('copied')), 300);
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+function fetchCachedRow(index) {
+  return pageCache.get(Math.floor(index / CHUNK))?.[index % CHUNK] ?? null;
+}
+
+function setupSelection() {
+  tableDiv.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    const tr = e.target.closest('tr.data-row[data-row]');
+    if (!tr) return;
+    const row = Number(tr.dataset.row);
+    const extend = e.shiftKey && selection != null;
+    if (e.target.closest('td.row-num')) {
+      selecting = 'rows';
+      setSelection({ row: extend ? selection.anchor.row : row, col: 0 }, { row, col: columns.length - 1 });
+    } else {
+      const td = e.target.closest('td[data-col]');
+      if (!td) return;
+      selecting = 'cells';
+      const cell = { row, col: Number(td.dataset.col) };
+      setSelection(extend ? selection.anchor : cell, cell);
+    }
+    selectionDragged = false;
+    tableDiv.classList.add('selecting');
+    if (e.shiftKey) e.preventDefault(); // Don't extend a text selection
+  });
+
+  tableDiv.addEventListener('mouseover', (e) => {
+    if (!selecting || !selection) return;
+    const tr = e.target.closest('tr.data-row[data-row]');
+    const td = e.target.closest('td[data-col]');
+    if (!tr || (selecting === 'cells' && !td)) return;
+    const focus = selecting === 'rows'
+      ? { row: Number(tr.dataset.row), col: columns.length - 1 }
+      : { row: Number(tr.dataset.row), col: Number(td.dataset.col) };
+    if (focus.row === selection.focus.row && focus.col === selection.focus.col) return;
+    selectionDragged = true;
+    setSelection(selection.anchor, focus);
+  });
+
+  document.addEventListener('mouseup', () => {
+    selecting = null;
+    tableDiv.classList.remove('selecting');
+  });
+
+  selectionBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-copy]');
+    if (btn) copySelection(btn.dataset.copy);
+    if (e.target.closest('#selection-clear')) clearSelection();
+  });
+}
+
+// === Nested Values ===
+
+// Flatten a struct column into dotted leaf columns (or collapse it back). The
+// leaves are derived columns of the grid relation, so sort, filters, profiles
+// and export treat them like any other column.
+async function toggleFlatten(structName) {
+  if (!baseRelation) return;
+  if (flattenedStructs.has(structName)) {
+    flattenedStructs.delete(structName);
+  } else {
+    flattenedStructs.add(structName);
+  }
+  await rebuildGridColumns();
+}
+
+// Derive the grid columns and relation from baseColumns, expanding flattened
+// structs and appending computed columns
+function deriveGridColumns() {
+  const derived = [];
+  const flattened = baseColumns.flatMap(c => {
+    if (!flattenedStructs.has(c.name)) return [c];
+    const leaves = structLeaves(c.name, c.type);
+    derived.push(...leaves);
+    return leaves;
+  });
+  const computed = computedColumns.map(c => ({ name: c.name, type: c.type, formula: c.expr }));
+  derived.push(...computedColumns.map(c => ({ name: c.name, expr: computedExpression(c.expr) })));
+  columns = [...flattened, ...computed];
+  currentRelation = withDerivedColumns(baseRelation, derived);
+}
+
+// Re-derive the grid columns and re-render, after flattening, a column
+// chooser change or a computed column being added or removed
+async function rebuildGridColumns() {
+  deriveGridColumns();
+
+  // Keep sort/filters only for columns still shown
+  const names = new Set(columns.map(c => c.name));
+  sortStack = sortStack.filter(key => names.has(key.col));
+  filters = Object.fromEntries(Object.entries(filters).filter(([col]) => names.has(col)));
+  filterTree = validateFilterTree(filterTree, names);
+
+  status.textContent = 'Analyzing columns...';
+  status.classList.add('loading');
+  try {
+    const unanalyzed = columns.filter(c => !columnMeta[c.name]);
+    Object.assign(columnMeta, await getColumnMeta(currentRelation, unanalyzed, !fileView));
+    resetView(0);
+    renderTable(columns);
+    resetFilterBuilder();
+    await reloadData();
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+function openNestedDetail(colName, type, json) {
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (e) {
+    value = json;
+  }
+  detailRow = null;
+  openDrawer(colName, `
+    <div class="drawer-meta">
+      <span class="type">${escapeHtml(type)}</span>
+      <button id="copy-json">Copy JSON</button>
+    </div>
+    <div class="json-tree">${jsonTreeHtml(value)}</div>
+  `);
+  const copyBtn = document.getElementById('copy-json');
+  copyBtn.onclick = () => copyFromButton(copyBtn, JSON.stringify(value, null, 2));
+}
+
+// === Column Chooser ===
+// Lists every column of the file in the schema panel. Only shown columns are
+// selected by grid queries and exports; pinned ones come first and stay in
+// view when scrolling sideways.
+
+// Shown columns in chooser order, pinned ones first
+function chosenColumns() {
+  const byName = new Map(allColumns.map(c => [c.name, c]));
+  const shown = columnOrder.filter(name => !hiddenColumns.has(name)).map(name => byName.get(name));
+  return [
+    ...shown.filter(c => pinnedColumns.has(c.name)),
+    ...shown.filter(c => !pinnedColumns.has(c.name))
+  ];
+}
+
+// Whether columns were hidden or reordered (pins are kept separately)
+function columnsCustomized() {
+  return hiddenColumns.size > 0 || columnOrder.some((name, i) => name !== allColumns[i].name);
+}
+
+function renderColumnChooser() {
+  const container = document.getElementById('column-chooser');
+  if (!container) return;
+  if (allColumns.length === 0) {
+    container.innerHTML = '<b>No columns</b> - This file has no columns.';
+    return;
+  }
+
+  // Keep the panel's open state and search across re-renders
+  const details = container.querySelector('details');
+  const isOpen = details ? details.open : allColumns.length <= 10;
+  const search = container.querySelector('.column-search')?.value ?? '';
+  const types = new Map(allColumns.map(c => [c.name, c.type]));
+  const shownCount = allColumns.length - hiddenColumns.size;
+  const summary = shownCount === allColumns.length
+    ? `${allColumns.length} columns`
+    : `${allColumns.length} columns (${shownCount} shown)`;
+
+  container.innerHTML = `
+    <details${isOpen ? ' open' : ''}>
+      <summary>${summary}</summary>
+      <fieldset class="column-chooser"${fileView ? ' disabled title="Go back to the file to change its columns"' : ''}>
+        <div class="chooser-bar">
+          <input type="search" class="column-search" placeholder="Find columns..." value="${escapeHtml(search)}" spellcheck="false">
+          <button type="button" data-action="show">Show all</button>
+          <button type="button" data-action="hide">Hide all</button>
+          <span class="hint">Drag to reorder · 📌 keeps a column on the left</span>
+        </div>
+        <ul class="column-list">${columnOrder.map(name => {
+          const eName = escapeHtml(name);
+          const pinned = pinnedColumns.has(name);
+          return `<li data-column="${eName}"${fileView ? '' : ' draggable="true"'}>` +
+            `<label><input type="checkbox"${hiddenColumns.has(name) ? '' : ' checked'}> ${eName}</label> ` +
+            `<span class="type">${escapeHtml(types.get(name))}${partitionColumns.includes(name) ? ' (partition)' : ''}</span>` +
+            `<button type="button" class="pin-btn${pinned ? ' active' : ''}" title="${pinned ? 'Unpin' : 'Pin to the left'}">📌</button></li>`;
+        }).join('')}</ul>
+      </fieldset>
+    </details>
+  `;
+  filterColumnList(search);
+}
+
+// Narrow the list to names containing the search text (case-insensitive)
+function filterColumnList(search) {
+  const needle = search.trim().toLowerCase();
+  schemaDiv.querySelectorAll('.column-list li').forEach(li => {
+    li.classList.toggle('hidden', !li.dataset.column.toLowerCase().includes(needle));
+  });
+}
+
+// Re-query the grid with the chooser's columns
+async function applyColumnChoice() {
+  if (fileView) return;
+  baseColumns = chosenColumns();
+  const shown = new Set(baseColumns.map(c => c.name));
+  flattenedStructs = new Set([...flattenedStructs].filter(name => shown.has(name)));
+  renderColumnChooser();
+  await rebuildGridColumns();
+}
+
+// Move a column before or after another one in the chooser order
+function moveColumn(name, target, after) {
+  if (name === target) return false;
+  columnOrder = columnOrder.filter(n => n !== name);
+  columnOrder.splice(columnOrder.indexOf(target) + (after ? 1 : 0), 0, name);
+  return true;
+}
+
+function setupColumnChooser() {
+  schemaDiv.addEventListener('input', (e) => {
+    if (e.target.matches('.column-search')) filterColumnList(e.target.value);
+  });
+
+  schemaDiv.addEventListener('change', (e) => {
+    if (!e.target.matches('.column-list input[type="checkbox"]')) return;
+    const name = e.target.closest('li').dataset.column;
+    if (e.target.checked) {
+      hiddenColumns.delete(name);
+    } else if (hiddenColumns.size + 1 >= allColumns.length) {
+      e.target.checked = true; // Keep at least one column
+      return;
+    } else {
+      hiddenColumns.add(name);
+    }
+    applyColumnChoice();
+  });
+
+  schemaDiv.addEventListener('click', (e) => {
+    const pinBtn = e.target.closest('.pin-btn');
+    if (pinBtn) {
+      const name = pinBtn.closest('li').dataset.column;
+      if (pinnedColumns.has(name)) {
+        pinnedColumns.delete(name);
+      } else {
+        pinnedColumns.add(name);
+      }
+      applyColumnChoice();
+      return;
+    }
+
+    // Show/hide all apply to the columns matching the search
+    const action = e.target.closest('.chooser-bar button')?.dataset.action;
+    if (!action) return;
+    const names = [...schemaDiv.querySelectorAll('.column-list li:not(.hidden)')].map(li => li.dataset.column);
+    if (action === 'show') {
+      names.forEach(name => hiddenColumns.delete(name));
+    } else {
+      names.forEach(name => hiddenColumns.add(name));
+      if (hiddenColumns.size === allColumns.length) hiddenColumns.delete(names[0]); // Keep at least one column
+    }
+    applyColumnChoice();
+  });
+
+  // Drag-to-reorder
+  schemaDiv.addEventListener('dragstart', (e) => {
+    const li = e.target.closest?.('.column-list li');
+    if (!li) return;
+    draggedColumn = li.dataset.column;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedColumn);
+  });
+  schemaDiv.addEventListener('dragover', (e) => {
+    if (draggedColumn == null || !e.target.closest('.column-list li')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+  schemaDiv.addEventListener('drop', (e) => {
+    const li = e.target.closest('.column-list li');
+    if (draggedColumn == null || !li) return;
+    e.preventDefault();
+    const rect = li.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    if (moveColumn(draggedColumn, li.dataset.column, after)) applyColumnChoice();
+    draggedColumn = null;
+  });
+  schemaDiv.addEventListener('dragend', () => { draggedColumn = null; });
+}
+
+// === Computed Columns ===
+// Columns defined by a DuckDB expression over the file's columns. Like struct
+// leaves they are derived columns of the grid relation, so sort, filters and
+// export treat them as physical columns. Definitions are kept per source in
+// chrome.storage.local and re-checked against the file whenever it's opened.
+
+async function getSavedComputedColumns() {
+  const stored = await chrome.storage.local.get(COMPUTED_STORAGE_KEY);
+  return stored[COMPUTED_STORAGE_KEY] || {};
+}
+
+async function saveComputedColumns() {
+  try {
+    const saved = await getSavedComputedColumns();
+    const key = currentKey;
+    if (computedColumns.length > 0) {
+      saved[key] = computedColumns.map(({ name, expr }) => ({ name, expr }));
+    } else {
+      delete saved[key];
+    }
+    await chrome.storage.local.set({ [COMPUTED_STORAGE_KEY]: saved });
+  } catch (e) {
+    console.warn('Could not save computed columns:', e); // Saving is best-effort
+  }
+}
+
+// Names a computed column can't take: file columns, their struct leaves and
+// other computed columns
+function takenColumnNames() {
+  return new Set([
+    ...allColumns.flatMap(c => [c.name, ...structLeaves(c.name, c.type).map(leaf => leaf.name)]),
+    ...computedColumns.map(c => c.name)
+  ]);
+}
+
+// Type of a computed column, from DESCRIBE on a trial SELECT over the file.
+// Throws DuckDB's error if the expression doesn't bind.
+async function describeComputedColumn({ name, expr }) {
+  const cols = await getSchema(`(SELECT ${computedExpression(expr)} AS ${escapeColumnName(name)} FROM ${baseRelation}) AS c`);
+  if (cols.length !== 1) throw new Error('The expression must produce one value per row.');
+  return cols[0].type;
+}
+
+// Ask before running a link's computed columns: their expressions are SQL
+// from whoever made the link. Resolves with whether they were accepted.
+function confirmLinkedColumns(defs) {
+  linkedColumnsList.innerHTML = defs.map(d =>
+    `<li>${escapeHtml(d.name)} <code>${escapeHtml(d.expr)}</code></li>`
+  ).join('');
+  linkedColumnsDialog.returnValue = '';
+  return new Promise(resolve => {
+    // Escape closes the dialog without a value, which declines
+    linkedColumnsDialog.addEventListener('close', () => resolve(linkedColumnsDialog.returnValue === 'accept'), { once: true });
+    linkedColumnsDialog.showModal();
+  });
+}
+
+// Load definitions into the grid: a link's ({ columns, skipped }) if the user
+// accepts them, or else the source's saved ones. Any that can't be added
+// (e.g. a column they use was renamed) are skipped and listed in the panel;
+// storage keeps them all until the columns are next changed.
+async function restoreComputedColumns(linked = null) {
+  const skipped = [];
+  let defs = null;
+  if (linked) {
+    if (linked.skipped > 0) {
+      skipped.push(`${linked.skipped.toLocaleString()} malformed ${linked.skipped === 1 ? 'entry' : 'entries'} from the link`);
+    }
+    if (linked.columns.length === 0 || await confirmLinkedColumns(linked.columns)) {
+      defs = linked.columns;
+    } else {
+      skipped.push(`${linked.columns.map(d => d.name).join(', ')} from the link (declined)`);
+    }
+  }
+  try {
+    defs ??= parseComputedColumns((await getSavedComputedColumns())[currentKey]);
+  } catch (e) {
+    console.warn('Could not read computed columns:', e);
+    defs = [];
+  }
+  for (const def of defs) {
+    const problem = computedColumnError(def, takenColumnNames());
+    if (problem) {
+      skipped.push(`${def.name}: ${problem}`);
+      continue;
+    }
+    try {
+      computedColumns.push({ ...def, type: await describeComputedColumn(def) });
+    } catch (e) {
+      skipped.push(`${def.name}: ${e.message}`);
+    }
+  }
+  computedNotice = skipped.length > 0 ? `Not added:\n${skipped.join('\n')}` : '';
+  deriveGridColumns();
+  renderComputedColumns();
+}
+
+// Validate and add a computed column. Returns a message for the form if it
+// can't be added.
+async function addComputedColumn(name, expr) {
+  if (fileView) return null;
+  const def = { name, expr: stripSqlTerminator(expr) };
+  const problem = computedColumnError(def, takenColumnNames());
+  if (problem) return problem;
+  try {
+    def.type = await describeComputedColumn(def);
+  } catch (e) {
+    return e.message;
+  }
+  computedColumns.push(def);
+  computedNotice = '';
+  delete columnMeta[name];
+  await saveComputedColumns();
+  renderComputedColumns();
+  await rebuildGridColumns();
+  return null;
+}
+
+async function removeComputedColumn(name) {
+  if (fileView) return;
+  computedColumns = computedColumns.filter(c => c.name !== name);
+  computedNotice = '';
+  delete columnMeta[name];
+  await saveComputedColumns();
+  renderComputedColumns();
+  await rebuildGridColumns();
+}
+
+function renderComputedColumns() {
+  const container = document.getElementById('computed-columns');
+  if (!container) return;
+  if (allColumns.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const details = container.querySelector('details');
+  const isOpen = details ? details.open : computedColumns.length > 0 || computedNotice !== '';
+  const count = computedColumns.length > 0 ? ` (${computedColumns.length})` : '';
+  container.innerHTML = `
+    <details${isOpen ? ' open' : ''}>
+      <summary>Computed columns${count}</summary>
+      <fieldset class="computed-columns"${fileView ? ' disabled title="Go back to the file to change its columns"' : ''}>
+        ${computedNotice ? `<p class="computed-notice">${escapeHtml(computedNotice)}</p>` : ''}
+        <ul class="computed-list">${computedColumns.map(c => {
+          const eName = escapeHtml(c.name);
+          return `<li data-column="${eName}">${eName} <span class="type">${escapeHtml(c.type)}</span> ` +
+            `<code>${escapeHtml(c.expr)}</code> ` +
+            `<button type="button" class="remove-btn" title="Remove ${eName}">✕</button></li>`;
+        }).join('')}</ul>
+        <form class="computed-form">
+          <input class="computed-name" placeholder="Name" spellcheck="false">
+          <input class="computed-expr" placeholder="DuckDB expression, e.g. price * quantity" spellcheck="false">
+          <button type="submit">Add column</button>
+          <span class="computed-error"></span>
+        </form>
+      </fieldset>
+    </details>
+  `;
+}
+
+function setupComputedColumns() {
+  schemaDiv.addEventListener('submit', async (e) => {
+    if (!e.target.matches('.computed-form')) return;
+    e.preventDefault();
+    const form = e.target;
+    const submit = form.querySelector('button[type="submit"]');
+    const error = form.querySelector('.computed-error');
+    error.textContent = '';
+    submit.disabled = true;
+    const problem = await addComputedColumn(
+      form.querySelector('.computed-name').value,
+      form.querySelector('.computed-expr').value
+    );
+    // On success the form has been re-rendered empty
+    if (problem) error.textContent = problem;
+    submit.disabled = false;
+  });
+
+  schemaDiv.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.computed-list .remove-btn');
+    if (removeBtn) removeComputedColumn(removeBtn.closest('li').dataset.column);
+  });
+}
+
+// === Display Settings ===
+
+function setupDisplaySettings() {
+  const zones = Intl.supportedValuesOf?.('timeZone') || [];
+  const options = [...new Set(['UTC', LOCAL_TIME_ZONE, ...zones])];
+  if (!options.includes(displayOptions.timeZone)) displayOptions.timeZone = LOCAL_TIME_ZONE;
+  tzSetting.innerHTML = options.map(tz => {
+    const label = tz === LOCAL_TIME_ZONE ? `${tz} (local)` : tz;
+    return `<option value="${escapeHtml(tz)}"${tz === displayOptions.timeZone ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+  }).join('');
+  blobSetting.value = displayOptions.blobFormat;
+
+  // Formatting happens client-side, so cached rows just re-render
+  tzSetting.addEventListener('change', () => {
+    displayOptions.timeZone = tzSetting.value;
+    localStorage.setItem('parquet-peek:timeZone', tzSetting.value);
+    renderWindow();
+  });
+  blobSetting.addEventListener('change', () => {
+    displayOptions.blobFormat = blobSetting.value;
+    localStorage.setItem('parquet-peek:blobFormat', blobSetting.value);
+    renderWindow();
+  });
+
+  chartsSetting.checked = chartsEnabled;
+  chartsSetting.addEventListener('change', () => {
+    chartsEnabled = chartsSetting.checked;
+    localStorage.setItem('parquet-peek:charts', chartsEnabled ? 'on' : 'off');
+    chartTabBtn.classList.toggle('hidden', !chartsEnabled);
+    if (!chartsEnabled && activeTab === 'chart') showTab('data');
+  });
+}
+
+// === Detail Drawer ===
+
+function openDrawer(title, html) {
+  drawerTitle.textContent = title;
+  drawerBody.innerHTML = html;
+  drawer.classList.remove('hidden');
+}
+
+function closeDrawer() {
+  drawer.classList.add('hidden');
+  drawerBody.innerHTML = '';
+  detailRow = null;
+}
+
+async function copyFromButton(button, text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    button.textContent = 'Copied';
+  } catch (err) {
+    console.warn('Copy failed:', err);
+  }
+}
+
+// === Row Detail ===
+// Clicking a row number opens the whole row in the drawer as a vertical
+// list of untruncated values; ‹ › (or ↑ ↓) step through the rows in view order.
+
+// Row at a view position, fetching its page if it isn't cached
+async function fetchRow(index) {
+  const page = Math.floor(index / CHUNK);
+  if (!pageCache.has(page) && currentRelation) {
+    const generation = cacheGeneration;
+    const rows = await getRows(currentRelation, columns, CHUNK, page * CHUNK, sortStack, filters, columnMeta, filterTree, viewSearch());
+    if (generation !== cacheGeneration) return null; // Sorted or filtered meanwhile
+    pageCache.set(page, rows);
+    evictPages(page);
+  }
+  return pageCache.get(page)?.[index % CHUNK] ?? null;
+}
+
+async function openRowDetail(index) {
+  if (!(index >= 0 && index < viewRows)) return;
+  detailRow = index;
+  let row;
+  try {
+    row = await fetchRow(index);
+  } catch (e) {
+    handleError(e);
+    return;
+  }
+  if (detailRow !== index || !row) return; // Stepped to another row meanwhile
+  const cols = columns;
+  const record = rowToObject(row, cols, displayOptions);
+
+  const fields = cols.map(c => {
+    const val = row[c.name];
+    let html;
+    if (val == null) {
+      html = '<span class="json-null">NULL</span>';
+    } else if (isNestedType(c.type)) {
+      html = `<div class="json-tree">${jsonTreeHtml(record[c.name])}</div>`;
+    } else {
+      html = `<span class="row-value">${escapeHtml(formatValue(val, c.type, { ...displayOptions, maxBlobBytes: Infinity }))}</span>`;
+    }
+    return `<dt>${escapeHtml(c.name)} <span class="type-badge">${escapeHtml(c.type)}</span></dt><dd>${html}</dd>`;
+  }).join('');
+
+  openDrawer(`Row ${(index + 1).toLocaleString()} of ${viewRows.toLocaleString()}`, `
+    <div class="drawer-meta">
+      <button id="row-prev" title="Previous row (↑)"${index === 0 ? ' disabled' : ''}>‹</button>
+      <button id="row-next" title="Next row (↓)"${index >= viewRows - 1 ? ' disabled' : ''}>›</button>
+      <button id="copy-row-json">Copy JSON</button>
+      <button id="copy-row-sql" title="INSERT INTO the view t">Copy INSERT</button>
+    </div>
+    <dl class="row-detail">${fields}</dl>
+  `);
+  document.getElementById('row-prev').onclick = () => openRowDetail(index - 1);
+  document.getElementById('row-next').onclick = () => openRowDetail(index + 1);
+  const jsonBtn = document.getElementById('copy-row-json');
+  jsonBtn.onclick = () => copyFromButton(jsonBtn, JSON.stringify(record, null, 2));
+  const sqlBtn = document.getElementById('copy-row-sql');
+  sqlBtn.onclick = () => copyFromButton(sqlBtn, buildInsertStatement(SQL_VIEW, row, cols, displayOptions));
+}
+
+// === Shareable View State ===
+
+// Mirror sort/filters/columns/scroll into the URL hash so the link reopens this view
+function syncViewState() {
+  if (fileView || !currentRelation) return; // Console results aren't shareable
+  const { first } = computeWindow({
+    scrollTop: tableDiv.scrollTop,
+    viewportHeight: tableDiv.clientHeight,
+    rowHeight,
+    totalRows: viewRows
+  });
+  const hash = serializeViewState({
+    sort: sortStack,
+    filterMap: filters,
+    filterTree,
+    search: searchText,
+    cols: columnsCustomized() ? columnOrder.filter(name => !hiddenColumns.has(name)) : null,
+    pinned: baseColumns.filter(c => pinnedColumns.has(c.name)).map(c => c.name),
+    computed: computedColumns,
+    row: first
+  });
+  history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+  updateHistoryViewState(hash).catch(e => console.warn('Could not save view state:', e));
+}
+
+function setupCopyLink() {
+  copyLinkBtn.addEventListener('click', async () => {
+    syncViewState();
+    try {
+      await navigator.clipboard.writeText(location.href);
+      copyLinkBtn.textContent = 'Link copied';
+      setTimeout(() => { copyLinkBtn.textContent = 'Copy view link'; }, 1200);
+    } catch (err) {
+      console.warn('Link copy failed:', err);
+    }
+  });
+}
+
+// === SQL Console ===
+
+function saveFileView() {
+  if (fileView) return;
+  fileView = {
+    relation: currentRelation, columns, columnMeta, totalRows, statusText, sortStack, filters, filterTree,
+    searchText, baseRelation, baseColumns, flattenedStructs, computedColumns
+  };
+}
+
+async function restoreFileView() {
+  if (!fileView) return;
+  ({
+    relation: currentRelation, columns, columnMeta, totalRows, statusText, sortStack, filters, filterTree,
+    searchText, baseRelation, baseColumns, flattenedStructs, computedColumns
+  } = fileView);
+  fileView = null;
+  searchInput.value = searchText;
+  setBackButtons(false);
+  renderColumnChooser();
+  renderComputedColumns();
+
+  resetView(0);
+  renderTable(columns);
+  resetFilterBuilder();
+  await reloadData();
+}
+
+async function runConsoleQuery() {
+  const sql = stripSqlTerminator(sqlInput.value);
+  if (!sql) return;
+
+  status.textContent = 'Running query...';
+  status.classList.add('loading');
+  const started = performance.now();
+
+  try {
+    // Queries that can be nested are paged through the grid like the file;
+    // anything else (SET, PRAGMA, CREATE ...) runs once and is shown as-is
+    const relation = queryRelation(sql);
+    let cols = null;
+    try {
+      cols = await getSchema(relation);
+    } catch (e) {
+      // Not nestable - fall through and run the statement directly
+    }
+
+    let rows = null;
+    let rowCount;
+    if (cols) {
+      rowCount = await getRowCount(relation);
+    } else {
+      const result = await runQuery(sql);
+      cols = result.schema.fields.map(f => ({ name: f.name, type: String(f.type) }));
+      rows = result.toArray();
+      rowCount = rows.length;
+    }
+
+    const elapsed = Math.round(performance.now() - started);
+    if (cols.length === 0) {
+      status.textContent = `Statement executed — ${elapsed} ms`;
+      status.classList.remove('loading');
+      return;
+    }
+
+    await showQueryResults(relation, cols, rowCount, { rows });
+    statusText = `Query — ${totalRows.toLocaleString()} rows × ${cols.length} cols — ${elapsed} ms`;
+    status.textContent = statusText;
+    status.classList.remove('loading');
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+// Show query results in the grid in place of the file ("Back to file"
+// restores it). Pass rows for statements that can't be re-queried.
+async function showQueryResults(relation, cols, rowCount, { rows = null, sort = [] } = {}) {
+  saveFileView();
+  setBackButtons(true);
+  currentRelation = rows ? null : relation;
+  columns = cols;
+  totalRows = rowCount;
+  sortStack = sort;
+  filters = {};
+  filterTree = null;
+  searchText = searchInput.value = '';
+  columnMeta = await getColumnMeta(relation, columns, false);
+  baseRelation = currentRelation;
+  baseColumns = columns;
+  flattenedStructs = new Set();
+  computedColumns = [];
+  renderColumnChooser();
+  renderComputedColumns();
+
+  resetView(totalRows);
+  if (rows) {
+    for (let i = 0; i < rows.length; i += CHUNK) {
+      pageCache.set(i / CHUNK, rows.slice(i, i + CHUNK));
+    }
+  }
+  renderTable(columns);
+  resetFilterBuilder();
+}
+
+function setBackButtons(visible) {
+  sqlBackBtn.classList.toggle('hidden', !visible);
+  aggregateBackBtn.classList.toggle('hidden', !visible);
+}
+
+function setupSqlConsole() {
+  sqlRunBtn.onclick = runConsoleQuery;
+  sqlBackBtn.onclick = restoreFileView;
+  sqlInput.addEventListener('keydown', (e) => {
+    // Ctrl/Cmd+Enter to run
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      runConsoleQuery();
+    }
+  });
+}
+
+// === Tabs ===
+
+const tabRenderers = {
+  'file-info': renderFileInfo,
+  'profile': renderProfileTab,
+  'network': renderNetwork,
+  'chart': renderChartTab
+};
+
+function showTab(name) {
+  activeTab = name;
+  tabsBar.querySelectorAll('[data-tab]').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.tab === name);
+  });
+  document.querySelectorAll('[data-panel]').forEach(panel => {
+    panel.classList.toggle('hidden', panel.dataset.panel !== name);
+  });
+  if (name === 'data') {
+    scheduleRender();
+  } else {
+    // A hidden grid keeps no selection for the arrow keys or Ctrl+C to act on
+    if (selection) clearSelection();
+    tabRenderers[name]?.();
+  }
+}
+
+function setupTabs() {
+  tabsBar.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-tab]');
+    if (tab) showTab(tab.dataset.tab);
+  });
+}
+
+// === File Info ===
+
+async function renderFileInfo() {
+  if (fileInfoSource === currentSource) return;
+  const source = currentSource;
+  const target = readSource;
+  if (currentFormat !== 'parquet') {
+    fileInfoDiv.innerHTML = `<p class="type">${INPUT_FORMATS[currentFormat].label} files have no row groups or ` +
+      'embedded metadata; the File info tab is available for Parquet sources.</p>';
+    fileInfoSource = source;
+    return;
+  }
+  fileInfoDiv.innerHTML = '<p class="loading">Reading Parquet metadata...</p>';
+
+  try {
+    const metaResult = await runQuery(`SELECT * FROM ${parquetTableFunction('parquet_metadata', target)}`);
+    const chunks = metaResult.toArray().map(r => ({
+      file: r.file_name,
+      rowGroup: Number(r.row_group_id),
+      rowGroupRows: Number(r.row_group_num_rows),
+      rowGroupBytes: Number(r.row_group_bytes),
+      path: r.path_in_schema,
+      type: r.type,
+      compression: r.compression,
+      encodings: r.encodings,
+      min: r.stats_min_value ?? r.stats_min,
+      max: r.stats_max_value ?? r.stats_max,
+      nullCount: r.stats_null_count == null ? null : Number(r.stats_null_count),
+      compressed: Number(r.total_compressed_size),
+      uncompressed: Number(r.total_uncompressed_size)
+    }));
+
+    // Physical schema of the first file (datasets share one schema)
+    const firstFile = Array.isArray(target) ? target[0] : target;
+    const schemaResult = await runQuery(`SELECT * FROM ${parquetTableFunction('parquet_schema', firstFile)}`);
+    const schema = flattenParquetSchema(schemaResult.toArray());
+
+    const kvResult = await runQuery(`SELECT * FROM ${parquetTableFunction('parquet_kv_metadata', firstFile)}`);
+    const kv = kvResult.toArray().map(r => ({
+      key: formatMetadataValue(r.key),
+      value: formatMetadataValue(r.value)
+    }));
+
+    if (source !== currentSource) return; // A new file was loaded meanwhile
+    fileInfoDiv.innerHTML = fileInfoHtml(source, chunks, schema, kv);
+    fileInfoSource = source;
+  } catch (e) {
+    fileInfoDiv.innerHTML = '';
+    handleError(e);
+  }
+}
+
+function fileInfoHtml(source, chunks, schema, kv) {
+  const rowGroups = summarizeRowGroups(chunks);
+  const colStats = summarizeColumnChunks(chunks);
+  const multiFile = Array.isArray(source);
+  const root = multiFile ? commonDirectory(source) : '';
+  const shortFile = (name) => root ? name.slice(root.length + 1) : name;
+  const compressed = colStats.reduce((sum, c) => sum + c.compressed, 0);
+  const uncompressed = colStats.reduce((sum, c) => sum + c.uncompressed, 0);
+  const rows = rowGroups.reduce((sum, g) => sum + g.rows, 0);
+  const duckdbTypes = new Map(allColumns.map(c => [c.name, c.type]));
+  const cell = (v) => `<td title="${escapeHtml(v)}">${escapeHtml(v)}</td>`;
+  const num = (v) => `<td class="num">${v == null ? '' : escapeHtml(v.toLocaleString())}</td>`;
+
+  const overview = [
+    multiFile ? ['Files', source.length.toLocaleString()] : null,
+    ['Row groups', rowGroups.length.toLocaleString()],
+    ['Rows', rows.toLocaleString()],
+    ['Compressed size', formatBytes(compressed)],
+    ['Uncompressed size', formatBytes(uncompressed)],
+    ['Compression ratio', compressed > 0 ? `${(uncompressed / compressed).toFixed(2)}×` : '—']
+  ].filter(Boolean);
+
+  return `
+    <h3>Overview</h3>
+    <table class="info-table"><tbody>
+      ${overview.map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v)}</td></tr>`).join('')}
+    </tbody></table>
+
+    <h3>Row groups</h3>
+    <table class="info-table">
+      <thead><tr>${multiFile ? '<th>File</th>' : ''}<th>#</th><th>Rows</th><th>Size</th><th>Compressed</th></tr></thead>
+      <tbody>${rowGroups.map(g => '<tr>' +
+        (multiFile ? cell(shortFile(g.file)) : '') +
+        num(g.id) + num(g.rows) + cell(formatBytes(g.bytes)) + cell(formatBytes(g.compressed)) +
+        '</tr>').join('')}</tbody>
+    </table>
+
+    <h3>Column chunks</h3>
+    <table class="info-table">
+      <thead><tr><th>Column</th><th>Physical type</th><th>Codec</th><th>Encodings</th><th>Min</th><th>Max</th><th>Nulls</th><th>Compressed</th><th>Uncompressed</th></tr></thead>
+      <tbody>${colStats.map(c => '<tr>' +
+        cell(c.path) + cell(c.type) + cell(c.codecs.join(', ')) + cell(c.encodings.join(', ')) +
+        cell(c.min ?? '') + cell(c.max ?? '') + num(c.nullCount) +
+        cell(formatBytes(c.compressed)) + cell(formatBytes(c.uncompressed)) +
+        '</tr>').join('')}</tbody>
+    </table>
+
+    <h3>Schema</h3>
+    <table class="info-table">
+      <thead><tr><th>Column</th><th>DuckDB type</th><th>Physical type</th><th>Logical type</th><th>Repetition</th></tr></thead>
+      <tbody>${schema.map(f => '<tr>' +
+        `<td style="padding-left: ${10 + f.depth * 16}px">${escapeHtml(f.name)}</td>` +
+        cell(f.depth === 0 ? duckdbTypes.get(f.name) ?? '' : '') +
+        cell(f.physicalType) + cell(f.logicalType) + cell(f.repetition) +
+        '</tr>').join('')}</tbody>
+    </table>
+
+    <h3>Key/value metadata</h3>
+    ${kv.length === 0 ? '<p class="type">None</p>' : kv.map(({ key, value }) => `
+      <details class="kv">
+        <summary>${escapeHtml(key)} <span class="type">${formatBytes(value.length)}</span></summary>
+        <pre>${escapeHtml(value)}</pre>
+      </details>`).join('')}
+  `;
+}
+
+// === Network Inspector ===
+// Lists the HTTP requests made for the loaded source, DuckDB's range reads
+// from its worker included, so partial downloads can be checked. webRequest
+// only reports them; nothing is modified.
+
+const MAX_NETWORK_ROWS = 500; // Latest requests listed (totals cover all)
+let networkLog = [];          // [{ url, method, range, started, status, bytes, cached, duration, error }]
+let networkSource = null;     // Read URL whose requests are logged (not a compare file's)
+const pendingRequests = new Map(); // requestId -> networkLog entry
+let networkRenderScheduled = false;
+
+async function setupNetworkInspector() {
+  if (!chrome.webRequest) return;
+  const tab = await chrome.tabs.getCurrent();
+  const filter = { urls: ['http://*/*', 'https://*/*'], ...(tab ? { tabId: tab.id } : {}) };
+  const header = (headers, name) => headers?.find(h => h.name.toLowerCase() === name)?.value;
+
+  chrome.webRequest.onSendHeaders.addListener((details) => {
+    if (details.initiator !== location.origin || !isSourceRequest(details.url, networkSource)) return;
+    const entry = {
+      url: details.url,
+      method: details.method,
+      range: parseRangeHeader(header(details.requestHeaders, 'range')),
+      started: details.timeStamp,
+      status: null,
+      bytes: null,
+      cached: false,
+      duration: null,
+      error: null
+    };
+    networkLog.push(entry);
+    pendingRequests.set(details.requestId, entry);
+    scheduleNetworkRender();
+  }, filter, ['requestHeaders']);
+
+  chrome.webRequest.onCompleted.addListener((details) => {
+    const entry = pendingRequests.get(details.requestId);
+    if (!entry) return;
+    pendingRequests.delete(details.requestId);
+    const length = header(details.responseHeaders, 'content-length');
+    const contentRange = parseContentRange(header(details.responseHeaders, 'content-range'));
+    entry.status = details.statusCode;
+    entry.cached = details.fromCache;
+    entry.duration = details.timeStamp - entry.started;
+    // A HEAD response's Content-Length is the file size, not bytes sent
+    entry.bytes = entry.method === 'HEAD' ? 0
+      : length != null ? Number(length)
+      : contentRange ? contentRange.end - contentRange.start + 1
+      : null;
+    // Storage URIs skip the HEAD request, so take the size from a range response
+    if (sourceSize == null && !Array.isArray(currentSource)) sourceSize = contentRange?.total ?? null;
+    scheduleNetworkRender();
+  }, filter, ['responseHeaders']);
+
+  chrome.webRequest.onErrorOccurred.addListener((details) => {
+    const entry = pendingRequests.get(details.requestId);
+    if (!entry) return;
+    pendingRequests.delete(details.requestId);
+    entry.error = details.error;
+    entry.duration = details.timeStamp - entry.started;
+    scheduleNetworkRender();
+  }, filter);
+}
+
+function resetNetworkLog(readUrl) {
+  networkSource = readUrl;
+  networkLog = [];
+  pendingRequests.clear();
+  sourceSize = null;
+}
+
+function scheduleNetworkRender() {
+  if (activeTab !== 'network' || networkRenderScheduled) return;
+  networkRenderScheduled = true;
+  requestAnimationFrame(() => {
+    networkRenderScheduled = false;
+    renderNetwork();
+  });
+}
+
+function renderNetwork() {
+  if (!currentIsUrl) {
+    networkDiv.innerHTML = '<p class="type">Local files are read from memory, so there are no network requests to show.</p>';
+    return;
+  }
+  if (!chrome.webRequest) {
+    networkDiv.innerHTML = '<p class="type">Request inspection needs the webRequest permission.</p>';
+    return;
+  }
+  const summary = summarizeTransfers(networkLog, sourceSize);
+  const fetched = summary.fraction == null
+    ? formatBytes(summary.bytes)
+    : `${formatBytes(summary.bytes)} of ${formatBytes(sourceSize)} (${(summary.fraction * 100).toFixed(1)}%)`;
+  const notes = [
+    summary.pending ? `${summary.pending} pending` : null,
+    summary.failed ? `${summary.failed} failed` : null,
+    summary.cached ? `${summary.cached} from cache` : null
+  ].filter(Boolean);
+  const overview = [
+    ['Requests', summary.requests.toLocaleString() + (notes.length ? ` (${notes.join(', ')})` : '')],
+    ['Fetched', fetched]
+  ];
+  const cell = (v) => `<td title="${escapeHtml(v)}">${escapeHtml(v)}</td>`;
+  const num = (v) => `<td class="num">${escapeHtml(v)}</td>`;
+  const shown = networkLog.slice(-MAX_NETWORK_ROWS);
+  const offset = networkLog.length - shown.length;
+
+  networkDiv.innerHTML = `
+    <h3>Transfer</h3>
+    <table class="info-table"><tbody>
+      ${overview.map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v)}</td></tr>`).join('')}
+    </tbody></table>
+    ${summary.ignoredRanges ? `<p class="network-warning">The server ignored the Range header on ` +
+      `${summary.ignoredRanges.toLocaleString()} ${summary.ignoredRanges === 1 ? 'request' : 'requests'} and sent the ` +
+      'whole file, so every read downloads it in full. Download the file and open it locally instead.</p>' : ''}
+
+    <h3>Requests</h3>
+    ${offset > 0 ? `<p class="type">Showing the last ${shown.length.toLocaleString()} of ${networkLog.length.toLocaleString()}.</p>` : ''}
+    <table class="info-table network-table">
+      <thead><tr><th>#</th><th>Method</th><th>Range</th><th>Status</th><th>Size</th><th>Time</th><th>URL</th></tr></thead>
+      <tbody>${shown.map((r, i) => `<tr${ignoredRange(r) ? ' class="ignored-range"' : ''}>` +
+        num((offset + i + 1).toLocaleString()) +
+        cell(r.method) +
+        cell(r.method === 'HEAD' ? '—' : formatRange(r.range)) +
+        cell(r.error ?? (r.status == null ? 'pending' : `${r.status}${r.cached ? ' (cache)' : ''}`)) +
+        num(r.bytes == null ? '' : formatBytes(r.bytes)) +
+        num(r.duration == null ? '' : formatElapsed(r.duration)) +
+        cell(r.url) +
+        '</tr>').join('')}</tbody>
+    </table>`;
+}
+
+// === Column Profile ===
+
+function openColumnProfile(colName) {
+  profileColumn = colName;
+  showTab('profile');
+}
+
+function renderProfileTab() {
+  renderColumnProfile();
+  if (summaryRelation !== currentRelation) {
+    summaryDiv.innerHTML = `
+      <h3>All columns</h3>
+      <button id="summarize">Summarize all columns</button>
+      <span class="hint">Runs SUMMARIZE over the whole ${fileView ? 'query result' : 'file'}</span>`;
+    document.getElementById('summarize').onclick = renderSummary;
+  }
+}
+
+// Stats for the column opened from its header, over the rows matching the filters
+async function renderColumnProfile() {
+  const col = columns.find(c => c.name === profileColumn);
+  if (!col || !currentRelation) {
+    columnProfileDiv.innerHTML = '<p class="type">Click ⓘ in a column header to profile that column.</p>';
+    return;
+  }
+
+  const relation = currentRelation;
+  const where = buildWhereClause(filters, columnMeta, filterTree, viewSearch());
+  columnProfileDiv.innerHTML = `<h3>${escapeHtml(col.name)}</h3><p class="loading">Profiling...</p>`;
+
+  try {
+    const [stats] = (await runQuery(buildProfileQuery(relation, col.name, col.type, where))).toArray();
+    const isString = !isNumericType(col.type) && !isTemporalType(col.type);
+    const topValues = isString
+      ? (await runQuery(buildTopValuesQuery(relation, col.name, 10, where))).toArray()
+      : [];
+    if (relation !== currentRelation || col.name !== profileColumn) return;
+
+    const total = Number(stats.total);
+    const nulls = total - Number(stats.non_null);
+    const pct = (n) => total > 0 ? `${(n / total * 100).toFixed(1)}%` : '—';
+    const rows = [
+      ['Type', col.type],
+      ['Rows', total.toLocaleString()],
+      ['Nulls', `${nulls.toLocaleString()} (${pct(nulls)})`],
+      ['Distinct', Number(stats.distinct_count).toLocaleString()]
+    ];
+    for (const [label, key] of [['Min', 'min'], ['Max', 'max'], ['Mean', 'mean'], ['Std dev', 'stddev'],
+      ['25th percentile', 'q25'], ['Median', 'q50'], ['75th percentile', 'q75']]) {
+      if (stats[key] != null) rows.push([label, stats[key]]);
+    }
+
+    const maxCount = Math.max(1, ...topValues.map(v => Number(v.cnt)));
+    columnProfileDiv.innerHTML = `
+      <h3>${escapeHtml(col.name)}${hasActiveFilters(filters, filterTree, columnMeta, viewSearch()) ? ' <span class="type">(filtered rows)</span>' : ''}</h3>
+      <table class="info-table"><tbody>
+        ${rows.map(([k, v]) => `<tr><th>${k}</th><td title="${escapeHtml(v)}">${escapeHtml(v)}</td></tr>`).join('')}
+      </tbody></table>
+      ${topValues.length === 0 ? '' : `
+        <h3>Most frequent values</h3>
+        <table class="info-table top-values"><tbody>
+          ${topValues.map(v => {
+            const count = Number(v.cnt);
+            const label = v.value === null ? 'NULL' : v.value;
+            return `<tr><td title="${escapeHtml(label)}"${v.value === null ? ' class="type"' : ''}>${escapeHtml(label)}</td>` +
+              `<td class="num">${count.toLocaleString()}</td><td class="num">${pct(count)}</td>` +
+              `<td class="bar-cell"><div class="bar" style="width: ${(count / maxCount * 100).toFixed(1)}%"></div></td></tr>`;
+          }).join('')}
+        </tbody></table>`}
+    `;
+  } catch (e) {
+    columnProfileDiv.innerHTML = '';
+    handleError(e);
+  }
+}
+
+// Whole-relation stats for every column via SUMMARIZE
+async function renderSummary() {
+  const relation = currentRelation;
+  summaryDiv.innerHTML = '<h3>All columns</h3><p class="loading">Summarizing...</p>';
+
+  try {
+    const result = await runQuery(`SUMMARIZE SELECT * FROM ${relation}`);
+    if (relation !== currentRelation) return;
+    const fields = result.schema.fields.map(f => f.name);
+    const rows = result.toArray();
+    summaryDiv.innerHTML = `
+      <h3>All columns</h3>
+      <table class="info-table">
+        <thead><tr>${fields.map(f => `<th>${escapeHtml(f)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(r => '<tr>' + fields.map(f => {
+          const v = r[f] == null ? '' : String(r[f]);
+          return `<td title="${escapeHtml(v)}">${escapeHtml(v)}</td>`;
+        }).join('') + '</tr>').join('')}</tbody>
+      </table>`;
+    summaryRelation = relation;
+  } catch (e) {
+    summaryDiv.innerHTML = '';
+    handleError(e);
+  }
+}
+
+// === Charts ===
+// Opt-in (Charts setting) tab charting one column over every row matching the
+// filters. The data comes from aggregate queries, never from the loaded pages.
+
+// Values a line chart can plot per time bucket: the row count, or an
+// aggregate of a numeric column
+function chartMeasures() {
+  return [
+    { fn: 'count', col: null, label: 'Row count' },
+    ...columns.filter(c => isNumericType(c.type)).flatMap(c =>
+      ['sum', 'avg', 'min', 'max'].map(fn => ({ fn, col: c.name, label: `${fn}(${c.name})` })))
+  ];
+}
+
+// Fill the chart controls for the current columns, keeping the choices that
+// still apply, then draw
+function renderChartTab() {
+  const chartable = currentRelation
+    ? columns.filter(c => chartKinds(c.type, columnMeta[c.name]).length > 0)
+    : [];
+  chartControls.classList.toggle('hidden', chartable.length === 0);
+  if (chartable.length === 0) {
+    chartArea.innerHTML = currentRelation
+      ? '<p class="type">No column can be charted: charts need a numeric, date/time or categorical column.</p>'
+      : '<p class="type">These results can\'t be re-queried, so they can\'t be charted.</p>';
+    return;
+  }
+
+  if (!chartable.some(c => c.name === chartColumn)) chartColumn = chartable[0].name;
+  chartColumnSelect.innerHTML = chartable.map(c => {
+    const eName = escapeHtml(c.name);
+    return `<option value="${eName}"${c.name === chartColumn ? ' selected' : ''}>${eName}</option>`;
+  }).join('');
+
+  const col = chartable.find(c => c.name === chartColumn);
+  const kinds = chartKinds(col.type, columnMeta[col.name]);
+  const kind = kinds.includes(chartKindSelect.value) ? chartKindSelect.value : kinds[0];
+  const kindLabels = { histogram: 'Histogram', line: 'Over time', bar: 'Bar chart' };
+  chartKindSelect.innerHTML = kinds.map(k =>
+    `<option value="${k}"${k === kind ? ' selected' : ''}>${kindLabels[k]}</option>`
+  ).join('');
+
+  const measures = chartMeasures();
+  const measureLabel = chartMeasureSelect.selectedOptions[0]?.textContent;
+  chartMeasureSelect.innerHTML = measures.map((m, i) =>
+    `<option value="${i}"${m.label === measureLabel ? ' selected' : ''}>${escapeHtml(m.label)}</option>`
+  ).join('');
+  chartMeasureLabel.classList.toggle('hidden', kind !== 'line');
+
+  drawChart(col, kind, measures[chartMeasureSelect.value] || measures[0]);
+}
+
+async function drawChart(col, kind, measure) {
+  const relation = currentRelation;
+  const where = buildWhereClause(filters, columnMeta, filterTree, viewSearch());
+  const request = ++chartRequest;
+  const filtered = hasActiveFilters(filters, filterTree, columnMeta, viewSearch());
+  chartNote.textContent = filtered ? 'Rows matching the current filters' : `All rows of the ${fileView ? 'query result' : 'file'}`;
+  chartArea.innerHTML = '<p class="loading">Drawing chart...</p>';
+
+  try {
+    let svg;
+    let per = '';
+    if (kind === 'bar') {
+      const rows = (await runQuery(buildTopValuesQuery(relation, col.name, CHART_MAX_BARS, where), { key: 'chart' })).toArray();
+      svg = barChartSvg(rows.map(r => ({ label: r.value ?? 'NULL', count: Number(r.cnt) })));
+    } else if (kind === 'line') {
+      const [{ span }] = (await runQuery(buildTimeSpanQuery(relation, col.name, where), { key: 'chart' })).toArray();
+      const unit = timeBucketUnit(span ?? 0);
+      const rows = (await runQuery(buildTimeSeriesQuery(relation, col.name, unit, measure, where), { key: 'chart' })).toArray();
+      svg = lineChartSvg(rows.map(r => ({ t: r.t, y: r.y })), t => formatChartTime(t, unit));
+      per = ` · per ${unit} (UTC)`;
+    } else {
+      const bins = histogramBins((await runQuery(buildHistogramQuery(relation, col.name, col.type, where), { key: 'chart' })).toArray());
+      let formatX = formatChartNumber;
+      if (isDatetimeType(col.type) && bins.length > 0) {
+        // DATE values have no time of day worth labelling
+        const step = Math.max(bins[0].hi - bins[0].lo, /^DATE$/i.test(col.type) ? 86400 : 0);
+        formatX = t => formatChartTime(t, timeLabelUnit(step));
+      }
+      svg = histogramSvg(bins, formatX);
+    }
+    if (request !== chartRequest || relation !== currentRelation) return;
+    chartNote.textContent += per;
+    chartArea.innerHTML = svg || '<p class="type">No values to chart.</p>';
+  } catch (e) {
+    if (request !== chartRequest) return;
+    chartArea.innerHTML = '';
+    handleError(e);
+  }
+}
+
+function setupCharts() {
+  chartTabBtn.classList.toggle('hidden', !chartsEnabled);
+  chartColumnSelect.addEventListener('change', () => {
+    chartColumn = chartColumnSelect.value;
+    renderChartTab();
+  });
+  chartKindSelect.addEventListener('change', renderChartTab);
+  chartMeasureSelect.addEventListener('change', renderChartTab);
+}
+
+// === Compare Mode ===
+
+// Load the other source into the t2 view and show how it differs from t
+async function loadCompareSource(source, isUrl, format) {
+  compareSummaryDiv.innerHTML = '<p class="loading">Reading the other file...</p>';
+  compareRowsDiv.innerHTML = '';
+  try {
+    const relation = format === 'arrow'
+      ? await loadArrowTable(source, isUrl, 'compare_arrow')
+      : sourceRelation(source, format);
+    await runQuery(`CREATE OR REPLACE VIEW ${COMPARE_VIEW} AS SELECT * FROM ${relation}`);
+    compareSource = source;
+    await renderCompareSummary();
+  } catch (e) {
+    compareSummaryDiv.innerHTML = '';
+    handleError(e);
+  }
+}
+
+async function compareWithUrl() {
+  const url = compareUrlInput.value.trim();
+  if (!url) return;
+  try {
+    const readUrl = await resolveReadUrl(url);
+    await loadCompareSource(readUrl, true, await detectUrlFormat(url, readUrl));
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+// Register a picked/dropped file under compare/ so it can't shadow the loaded file
+async function compareWithFile(file) {
+  const path = `compare/${file.name}`;
+  const head = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+  await registerLocalFile(path, file);
+  await loadCompareSource(path, false, detectFormat(file.name, head) ?? 'parquet');
+}
+
+// Schema diff and row counts, plus the key picker for the row diff
+async function renderCompareSummary() {
+  const source = compareSource;
+  const colsA = await getSchema(SQL_VIEW);
+  const colsB = await getSchema(COMPARE_VIEW);
+  const rowsA = await getRowCount(SQL_VIEW);
+  const rowsB = await getRowCount(COMPARE_VIEW);
+  if (source !== compareSource) return;
+
+  const diff = diffSchemas(colsA, colsB);
+  const delta = rowsB - rowsA;
+  const schemaRows = [
+    ...diff.added.map(c => ['added', c.name, '', c.type]),
+    ...diff.removed.map(c => ['removed', c.name, c.type, '']),
+    ...diff.changed.map(c => ['changed', c.name, c.from, c.to])
+  ];
+  const labelA = sourceLabel(currentSource);
+  const labelB = sourceLabel(source);
+
+  compareSummaryDiv.innerHTML = `
+    <h3>Rows</h3>
+    <table class="info-table"><tbody>
+      <tr><th>A: ${escapeHtml(labelA)}</th><td class="num">${rowsA.toLocaleString()}</td></tr>
+      <tr><th>B: ${escapeHtml(labelB)}</th><td class="num">${rowsB.toLocaleString()}</td></tr>
+      <tr><th>Delta</th><td class="num">${delta > 0 ? '+' : ''}${delta.toLocaleString()}</td></tr>
+    </tbody></table>
+
+    <h3>Schema</h3>
+    ${schemaRows.length === 0 ? '<p class="type">Same columns and types.</p>' : `
+      <table class="info-table diff-table">
+        <thead><tr><th>Column</th><th>Change</th><th>A type</th><th>B type</th></tr></thead>
+        <tbody>${schemaRows.map(([change, name, from, to]) =>
+          `<tr class="${change}"><td>${escapeHtml(name)}</td><td>${change}</td>` +
+          `<td${change === 'changed' ? ' class="changed"' : ''}>${escapeHtml(from)}</td>` +
+          `<td${change === 'changed' ? ' class="changed"' : ''}>${escapeHtml(to)}</td></tr>`
+        ).join('')}</tbody>
+      </table>`}
+
+    <h3>Rows that differ</h3>
+    <div class="compare-key">
+      <label>Key column
+        <select id="compare-key">
+          <option value="">(none: compare whole rows)</option>
+          ${diff.common.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+        </select>
+      </label>
+      <button id="compare-run">Find differences</button>
+      <span class="hint">Compares the ${diff.common.length} shared columns · B is the view <code>${COMPARE_VIEW}</code> in the SQL console</span>
+    </div>`;
+  document.getElementById('compare-run').onclick = () =>
+    renderCompareRows(document.getElementById('compare-key').value, colsA, colsB);
+}
+
+async function renderCompareRows(key, colsA, colsB) {
+  const source = compareSource;
+  const { common, changed } = diffSchemas(colsA, colsB);
+  const cols = key ? common.filter(c => c !== key) : common;
+  const query = key
+    ? buildDiffQuery(SQL_VIEW, COMPARE_VIEW, key, cols, { castCols: changed.map(c => c.name) })
+    : buildExceptQuery(SQL_VIEW, COMPARE_VIEW, cols);
+  compareRowsDiv.innerHTML = '<p class="loading">Comparing rows...</p>';
+
+  try {
+    const counts = { added: 0, removed: 0, changed: 0 };
+    for (const r of (await runQuery(buildDiffCountsQuery(query))).toArray()) counts[r.diff] = Number(r.cnt);
+    const rows = (await runQuery(
+      `SELECT * FROM (${query}) ORDER BY ${key ? 'diff_key' : 'diff'} LIMIT ${COMPARE_LIMIT}`
+    )).toArray();
+    const dupes = [];
+    for (const rel of key ? [SQL_VIEW, COMPARE_VIEW] : []) {
+      dupes.push(Number((await runQuery(buildDuplicateKeyQuery(rel, key))).toArray()[0].cnt));
+    }
+    if (source !== compareSource) return;
+
+    const total = counts.added + counts.removed + counts.changed;
+    const value = (v) => v == null ? '<span class="type">NULL</span>' : escapeHtml(v);
+    const cell = (r, i) => {
+      const a = r[`a${i}`];
+      const b = r[`b${i}`];
+      if (r.diff === 'added') return `<td>${value(b)}</td>`;
+      if (r.diff === 'removed' || a === b) return `<td>${value(a)}</td>`;
+      return `<td class="changed"><del>${value(a)}</del> → <ins>${value(b)}</ins></td>`;
+    };
+    const header = ['', ...(key ? [key] : []), ...cols].map(c => `<th>${escapeHtml(c)}</th>`).join('');
+    const body = rows.map(r => `<tr class="${r.diff}"><td>${r.diff}</td>` +
+      (key ? `<td>${value(r.diff_key)}</td>${cols.map((_, i) => cell(r, i)).join('')}`
+        : cols.map(c => `<td>${value(r[c])}</td>`).join('')) +
+      '</tr>').join('');
+    const dupeNote = dupes.some(n => n > 0)
+      ? `<p class="hint">${dupes[0].toLocaleString()} rows in A and ${dupes[1].toLocaleString()} in B have a NULL ` +
+        'or repeated key, so matches may be duplicated. Pick a unique key for an exact diff.</p>'
+      : '';
+
+    compareRowsDiv.innerHTML = `
+      <p>${counts.added.toLocaleString()} added · ${counts.removed.toLocaleString()} removed` +
+      `${key ? ` · ${counts.changed.toLocaleString()} changed` : ''}` +
+      `${total > rows.length ? ` <span class="type">(showing first ${rows.length.toLocaleString()})</span>` : ''}</p>
+      ${dupeNote}
+      ${total === 0 ? '<p class="type">No differences in the shared columns.</p>' : `
+        <div class="table-scroll"><table class="diff-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>`}`;
+  } catch (e) {
+    compareRowsDiv.innerHTML = '';
+    handleError(e);
+  }
+}
+
+function setupCompare() {
+  compareLoadBtn.onclick = compareWithUrl;
+  compareUrlInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') compareWithUrl();
+  });
+  comparePickBtn.onclick = () => compareFileInput.click();
+  compareFileInput.addEventListener('change', () => {
+    if (compareFileInput.files[0]) compareWithFile(compareFileInput.files[0]).catch(handleError);
+    compareFileInput.value = '';
+  });
+
+  comparePanel.ondragover = e => { e.preventDefault(); comparePanel.classList.add('drag'); };
+  comparePanel.ondragleave = () => comparePanel.classList.remove('drag');
+  comparePanel.ondrop = async e => {
+    e.preventDefault();
+    comparePanel.classList.remove('drag');
+    const file = e.dataTransfer.files[0];
+    if (file) await compareWithFile(file).catch(handleError);
+  };
+}
+
+// === Aggregation ===
+// GROUP BY (optionally pivoted) over the grid's filtered rows. Results are
+// shown in the grid like console results, so they can be sorted, filtered,
+// exported and aggregated again.
+
+const newAggregateDraft = () => ({ groupBy: [], aggregates: [{ fn: 'count', column: '' }], pivot: '' });
+let aggregateDraft = newAggregateDraft();
+
+// Columns an aggregate can take: numeric ones for sum/avg, any otherwise
+function aggregateColumns(fn) {
+  return AGGREGATE_FUNCTIONS[fn].numeric ? columns.filter(c => isNumericType(c.type)) : columns;
+}
+
+// The draft as it applies to the grid's columns. Choices for columns the grid
+// doesn't have (e.g. while showing results) are left out but kept in the draft.
+function activeAggregateDraft() {
+  const names = new Set(columns.map(c => c.name));
+  return {
+    groupBy: aggregateDraft.groupBy.filter(name => names.has(name)),
+    pivot: names.has(aggregateDraft.pivot) ? aggregateDraft.pivot : '',
+    aggregates: aggregateDraft.aggregates.map(agg => {
+      const allowed = aggregateColumns(agg.fn);
+      if (allowed.some(c => c.name === agg.column)) return agg;
+      return { fn: agg.fn, column: agg.fn === 'count' ? '' : (allowed[0]?.name ?? '') };
+    })
+  };
+}
+
+function renderAggregatePanel() {
+  aggregatePanel.classList.toggle('hidden', !currentRelation);
+  if (!currentRelation) return;
+
+  const option = (name, selected) =>
+    `<option value="${escapeHtml(name)}"${selected ? ' selected' : ''}>${escapeHtml(truncateColumnName(name))}</option>`;
+  const { groupBy, aggregates, pivot } = activeAggregateDraft();
+
+  aggregateForm.innerHTML = `
+    <label>Group by
+      <select multiple data-field="groupBy" size="${Math.min(Math.max(columns.length, 2), 6)}">${columns.map(c => option(c.name, groupBy.includes(c.name))).join('')}</select>
+    </label>
+    <div class="aggregate-field">Aggregates
+      <div>${aggregates.map((agg, i) => `<div class="aggregate-item" data-index="${i}">
+        <select data-field="fn">${Object.entries(AGGREGATE_FUNCTIONS).map(([fn, spec]) =>
+          `<option value="${fn}"${fn === agg.fn ? ' selected' : ''}>${escapeHtml(spec.label)}</option>`
+        ).join('')}</select>
+        <select data-field="column">${agg.fn === 'count' ? `<option value=""${agg.column ? '' : ' selected'}>(rows)</option>` : ''}${
+          aggregateColumns(agg.fn).map(c => option(c.name, c.name === agg.column)).join('')
+        }</select>
+        <button data-action="remove" title="Remove aggregate"${aggregates.length > 1 ? '' : ' disabled'}>✕</button>
+      </div>`).join('')}
+      <button data-action="add">+ Aggregate</button></div>
+    </div>
+    <label>Pivot on
+      <select data-field="pivot"><option value="">(none)</option>${columns.map(c => option(c.name, c.name === pivot)).join('')}</select>
+    </label>
+  `;
+}
+
+async function runAggregation() {
+  if (!currentRelation) return;
+  status.textContent = 'Aggregating...';
+  status.classList.add('loading');
+  const started = performance.now();
+
+  try {
+    const where = buildWhereClause(filters, columnMeta, filterTree, viewSearch());
+    const { groupBy, aggregates, pivot } = activeAggregateDraft();
+    let pivotValues = [];
+    if (pivot) {
+      const result = await runQuery(buildPivotValuesQuery(currentRelation, pivot, where));
+      pivotValues = result.toArray().map(r => r.v);
+      if (pivotValues.length > MAX_PIVOT_VALUES) {
+        throw new Error(`"${pivot}" has more than ${MAX_PIVOT_VALUES} distinct values. Pivot on a column with fewer values, or filter first.`);
+      }
+    }
+
+    const relation = queryRelation(buildAggregateQuery(currentRelation, { groupBy, aggregates, pivot: pivot || null, pivotValues, where }));
+    const cols = await getSchema(relation);
+    const rowCount = await getRowCount(relation);
+    const elapsed = Math.round(performance.now() - started);
+
+    // Groups start out ordered by their keys
+    await showQueryResults(relation, cols, rowCount, { sort: groupBy.map(col => ({ col, dir: 'ASC', nulls: 'LAST' })) });
+    statusText = `Aggregate — ${rowCount.toLocaleString()} ${rowCount === 1 ? 'row' : 'rows'} × ${cols.length} cols — ${elapsed} ms`;
+    status.textContent = statusText;
+    status.classList.remove('loading');
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+function setupAggregation() {
+  aggregateForm.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    if (field === 'groupBy') {
+      aggregateDraft.groupBy = [...e.target.selectedOptions].map(o => o.value);
+    } else if (field === 'pivot') {
+      aggregateDraft.pivot = e.target.value;
+    } else if (field === 'fn' || field === 'column') {
+      const index = Number(e.target.closest('.aggregate-item').dataset.index);
+      aggregateDraft.aggregates[index] = { ...activeAggregateDraft().aggregates[index], [field]: e.target.value };
+      if (field === 'fn') renderAggregatePanel(); // Column choices depend on the function
+    }
+  });
+
+  aggregateForm.addEventListener('click', (e) => {
+    const action = e.target.closest('button')?.dataset.action;
+    if (!action) return;
+    if (action === 'add') {
+      aggregateDraft.aggregates.push({ fn: 'sum', column: '' });
+    } else if (action === 'remove') {
+      aggregateDraft.aggregates.splice(Number(e.target.closest('.aggregate-item').dataset.index), 1);
+    }
+    renderAggregatePanel();
+  });
+
+  aggregateRunBtn.onclick = runAggregation;
+  aggregateBackBtn.onclick = restoreFileView;
+}
+
+// === Export ===
+
+// Write the full filtered/sorted view to a virtual file and download it
+async function exportView(format) {
+  if (!currentRelation) return;
+  const spec = EXPORT_FORMATS[format];
+  const datasetName = Array.isArray(currentSource)
+    ? commonDirectory(currentSource).split('/').pop()
+    : sourceLabel(currentSource);
+  const baseName = (fileView ? 'query' : datasetName).replace(/\.[a-z0-9]+(\.(gz|zst))?$/i, '') || 'export';
+  const fileName = `${baseName}-export.${spec.extension}`;
+
+  status.textContent = `Exporting ${spec.label}...`;
+  status.classList.add('loading');
+
+  try {
+    const query = buildViewQuery(currentRelation, columns, {
+      sort: sortStack, filterMap: filters, filterTree, colMeta: columnMeta, search: viewSearch()
+    });
+    await runQuery(buildCopyQuery(query, fileName, format));
+    const buffer = await db.copyFileToBuffer(fileName);
+    await db.dropFile(fileName);
+
+    const url = URL.createObjectURL(new Blob([buffer], { type: spec.mime }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    status.textContent = statusText;
+    status.classList.remove('loading');
+  } catch (e) {
+    handleError(e);
+  }
+}
+
+function setupExport() {
+  exportSelect.addEventListener('change', async () => {
+    const format = exportSelect.value;
+    exportSelect.value = '';
+    if (format) await exportView(format);
+  });
+}
+
+// === Local File Handling ===
+
+// Register dropped files with DuckDB. A single plain file is read on its own;
+// several files (or a folder) are read together as one dataset.
+// `handle` is the dropped file/folder's FileSystemHandle (if any), kept so
+// the source can be reopened from history; `replaces` is the key of the
+// history entry it was reopened from
+async function handleLocalFiles(files, { handle = null, hash = '', replaces = null } = {}) {
+  status.classList.add('loading');
+
+  // The first file decides the format; datasets must not mix formats
+  const head = new Uint8Array(await files[0].file.slice(0, 16).arrayBuffer());
+  const format = detectFormat(files[0].path, head) ?? 'parquet';
+  if (files.some(f => formatFromName(f.path) !== formatFromName(files[0].path))) {
+    showError('Mixed formats', '', 'Drop files of a single format (e.g. only .parquet or only .csv files).');
+    return;
+  }
+  if (format === 'arrow' && files.length > 1) {
+    showError('Unsupported dataset', '', 'Arrow IPC files can only be opened one at a time.');
+    return;
+  }
+
+  // Registered as file handles, so queries read only the byte ranges they
+  // need instead of the whole file being copied into WASM memory
+  status.textContent = files.length > 1 ? `Registering ${files.length} files...` : `Registering ${files[0].path}...`;
+  for (const { file, path } of files) {
+    await registerLocalFile(path, file);
+  }
+
+  const source = files.length === 1 && !files[0].path.includes('/')
+    ? files[0].path
+    : files.map(f => f.path).sort();
+  const size = files.reduce((sum, f) => sum + f.file.size, 0);
+  await loadSource(source, false, format, { hash, size, file: files[0].file });
+  if (handle) {
+    const key = currentKey;
+    await handleStore('readwrite', store => store.put(handle, key))
+      .catch(e => console.warn('Could not save file handle:', e));
+  }
+  // A file changed since it was last viewed gets a new key; its old entry
+  // would reopen it under that new key anyway
+  if (replaces && replaces !== currentKey) {
+    await forgetHistoryEntry(replaces).catch(e => console.warn('Could not update history:', e));
+  }
+}
+
+function registerLocalFile(path, file) {
+  return db.registerFileHandle(path, file, duckdb.DuckDBDataProtocol.BROWSER_FILEREADER, true);
+}
+
+// Collect { file, path } for everything in a drop, descending into folders.
+// Must be called synchronously from the drop handler: DataTransfer items
+// are only readable during the event.
+function collectDroppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    const files = [...dataTransfer.files].map(file => ({ file, path: file.name }));
+    return Promise.resolve(files);
+  }
+  return (async () => {
+    const files = [];
+    for (const entry of entries) await walkEntry(entry, files);
+    return files;
+  })();
+}
+
+async function walkEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+  } else if (entry.isDirectory) {
+    // readEntries returns children in batches until it yields an empty one
+    const reader = entry.createReader();
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      for (const child of batch) await walkEntry(child, files);
+    } while (batch.length > 0);
+  }
+}
+
+// Skip _SUCCESS markers, .crc checksums and other unreadable files. A single
+// file is kept whatever its name and sniffed for its format.
+function readableFiles(files) {
+  return files.length === 1 ? files : files.filter(f => formatFromName(f.path));
+}
+
+function setupDragDrop() {
+  dropZone.classList.remove('hidden');
+
+  dropZone.ondragover = e => { e.preventDefault(); dropZone.classList.add('drag'); };
+  dropZone.ondragleave = () => dropZone.classList.remove('drag');
+  dropZone.ondrop = async e => {
+    e.preventDefault();
+    dropZone.classList.remove('drag');
+    // Like the entries below, handles must be requested during the event
+    const items = [...e.dataTransfer.items];
+    const handlePromise = items.length === 1 && items[0].getAsFileSystemHandle
+      ? items[0].getAsFileSystemHandle().catch(() => null)
+      : Promise.resolve(null);
+    try {
+      const files = readableFiles(await collectDroppedFiles(e.dataTransfer));
+      if (files.length > 0) {
+        await handleLocalFiles(files, { handle: await handlePromise });
+      } else {
+        showError('Invalid file', '', 'Please drop Parquet, CSV, JSON or Arrow files, or a folder containing them.');
+      }
+    } catch (err) {
+      handleError(err);
+    }
+  };
+}
+
+// === Recent Files ===
+// Recently viewed sources are kept in chrome.storage.local. Local files also
+// keep their FileSystemHandle in IndexedDB (handles aren't JSON), so they can
+// be reopened with a click instead of being dropped again.
+
+const HISTORY_STORAGE_KEY = 'recentFiles';
+const HANDLE_DB = 'parquet-peek';
+const HANDLE_STORE = 'handles';
+
+let historyWrites = Promise.resolve(); // Serializes read-modify-writes of the history
+
+async function getHistory() {
+  const stored = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+  return stored[HISTORY_STORAGE_KEY] || [];
+}
+
+// Run `update` (which reads and writes the history) after any pending one,
+// so concurrent updates don't overwrite each other's changes
+function writeHistory(update) {
+  const write = historyWrites.then(update);
+  historyWrites = write.catch(() => {});
+  return write;
+}
+
+async function recordHistory({ size, rows, cols }) {
+  // Signed URLs are left out: the entry would keep their signature or token,
+  // and they expire anyway
+  if (currentIsUrl && isSignedUrl(currentSource)) return;
+  try {
+    const entry = {
+      key: currentKey,
+      url: currentIsUrl ? currentSource : null,
+      label: sourceLabel(currentSource),
+      format: currentFormat,
+      size,
+      rows,
+      cols,
+      lastViewed: Date.now()
+    };
+    await writeHistory(async () => {
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: addToHistory(await getHistory(), entry) });
+    });
+  } catch (e) {
+    console.warn('Could not save history:', e); // History is best-effort
+  }
+}
+
+// Keep the history entry's sort/filters/scroll in step with the view
+function updateHistoryViewState(hash) {
+  const key = currentKey;
+  return writeHistory(async () => {
+    const history = await getHistory();
+    const entry = history.find(h => h.key === key);
+    if (!entry || entry.viewState === hash) return;
+    entry.viewState = hash;
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history });
+  });
+}
+
+// Drop an entry from the history, with its file handle
+function forgetHistoryEntry(key) {
+  return writeHistory(async () => {
+    const history = await getHistory();
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history.filter(h => h.key !== key) });
+    await handleStore('readwrite', store => store.delete(key));
+  });
+}
+
+// Run one request against the handle store and resolve with its result
+function handleStore(mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(HANDLE_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(HANDLE_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const tx = open.result.transaction(HANDLE_STORE, mode);
+      const request = makeRequest(tx.objectStore(HANDLE_STORE));
+      tx.oncomplete = () => {
+        open.result.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+  });
+}
+
+async function walkHandle(handle, dir, files) {
+  const path = dir ? `${dir}/${handle.name}` : handle.name;
+  if (handle.kind === 'file') {
+    files.push({ file: await handle.getFile(), path });
+  } else {
+    for await (const child of handle.values()) await walkHandle(child, path, files);
+  }
+}
+
+async function reopenRecent(entry) {
+  if (entry.url) {
+    location.href = `viewer.html?url=${encodeURIComponent(entry.url)}${entry.viewState ? `#${entry.viewState}` : ''}`;
+    return;
+  }
+  const handle = await handleStore('readonly', store => store.get(entry.key));
+  if (!handle) {
+    showError('File not available', '', 'Drop the file again to reopen it.');
+    return;
+  }
+  // Read access lapses when the browser restarts; the click lets us ask again
+  if (await handle.queryPermission({ mode: 'read' }) !== 'granted' &&
+      await handle.requestPermission({ mode: 'read' }) !== 'granted') {
+    return;
+  }
+  const files = [];
+  await walkHandle(handle, '', files);
+  const readable = readableFiles(files);
+  if (readable.length === 0) {
+    showError('File not available', '', 'The folder no longer contains readable files.');
+    return;
+  }
+  await handleLocalFiles(readable, { handle, hash: entry.viewState || '', replaces: entry.key });
+}
+
+async function renderRecent() {
+  let history;
+  let handleKeys;
+  try {
+    history = await getHistory();
+    handleKeys = new Set(await handleStore('readonly', store => store.getAllKeys()));
+  } catch (e) {
+    console.warn('Could not read history:', e);
+    return;
+  }
+  recentDiv.classList.toggle('hidden', history.length === 0);
+  recentList.innerHTML = history.map(h => {
+    const missing = !h.url && !handleKeys.has(h.key);
+    const meta = [
+      INPUT_FORMATS[h.format]?.label,
+      h.rows != null ? `${h.rows.toLocaleString()} rows × ${h.cols} cols` : null,
+      h.size != null ? formatBytes(h.size) : null,
+      h.viewState ? 'view saved' : null,
+      timeAgo(h.lastViewed),
+      missing ? 'drop again to reopen' : null
+    ].filter(Boolean).join(' · ');
+    return `<li data-key="${escapeHtml(h.key)}">
+      <button class="recent-open" title="${escapeHtml(h.url || h.label)}"${missing ? ' disabled' : ''}>${escapeHtml(h.label)}</button>
+      <span class="type">${escapeHtml(meta)}</span>
+      <button class="recent-forget" title="Remove from history">✕</button>
+    </li>`;
+  }).join('');
+}
+
+function setupRecent() {
+  recentList.addEventListener('click', async (e) => {
+    const item = e.target.closest('li[data-key]');
+    if (!item) return;
+    try {
+      const history = await getHistory();
+      const entry = history.find(h => h.key === item.dataset.key);
+      if (!entry) return;
+      if (e.target.closest('.recent-forget')) {
+        await forgetHistoryEntry(entry.key);
+        await renderRecent();
+      } else if (e.target.closest('.recent-open')) {
+        await reopenRecent(entry);
+      }
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+  clearHistoryBtn.addEventListener('click', async () => {
+    try {
+      await writeHistory(async () => {
+        await chrome.storage.local.remove([HISTORY_STORAGE_KEY, COMPUTED_STORAGE_KEY]);
+        await handleStore('readwrite', store => store.clear());
+      });
+      await renderRecent();
+    } catch (err) {
+      handleError(err);
+    }
+  });
+}
+
+// === Remote Sources ===
+// s3://, gs:// and az:// URIs and URLs behind auth headers. Credentials are
+// kept in chrome.storage.session (cleared when the browser closes), keyed by
+// bucket/container or origin, and never put in the viewer URL or history.
+
+const CREDENTIALS_STORAGE_KEY = 'sourceCredentials';
+
+async function getCredentials() {
+  const { [CREDENTIALS_STORAGE_KEY]: all } = await chrome.storage.session.get(CREDENTIALS_STORAGE_KEY);
+  return all && typeof all === 'object' ? all : {};
+}
+
+// Save (or with null, forget) the credentials for one key
+async function setCredentials(key, creds) {
+  const all = await getCredentials();
+  if (creds) {
+    all[key] = creds;
+  } else {
+    delete all[key];
+  }
+  await chrome.storage.session.set({ [CREDENTIALS_STORAGE_KEY]: all });
+  await syncHeaderRules(all);
+}
+
+// Custom headers are added by session rules, so DuckDB's own range requests
+// carry them too. One rule per origin; rules are rebuilt on every change.
+async function syncHeaderRules(all) {
+  const existing = await chrome.declarativeNetRequest.getSessionRules();
+  const addRules = Object.entries(all)
+    .filter(([key, creds]) => !parseStorageUri(key) && creds.headers?.length > 0)
+    .map(([origin, creds], i) => headerRule(i + 1, origin, creds.headers, chrome.runtime.id));
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: existing.map(r => r.id), addRules });
+}
+
+// URL DuckDB reads for a URL source, after applying its stored credentials.
+// S3 credentials go in a secret scoped to the bucket, so resolving another
+// source (e.g. a compare file) doesn't change what this one reads with.
+async function resolveReadUrl(url) {
+  const key = credentialKey(url);
+  const creds = key ? (await getCredentials())[key] : undefined;
+  const { url: readUrl, statements } = resolveStorageUri(url, creds);
+  for (const statement of statements) {
+    await runQuery(statement);
+  }
+  return readUrl;
+}
+
+const sourceScheme = (uri) => parseStorageUri(uri)?.scheme ?? 'http';
+
+// Show only the credential fields for the entered address's scheme
+function updateSourceFields() {
+  const scheme = sourceScheme(sourceForm.elements.uri.value.trim());
+  sourceForm.querySelectorAll('[data-scheme]').forEach(el => {
+    el.classList.toggle('hidden', !el.dataset.scheme.split(' ').includes(scheme));
+  });
+}
+
+// Fill the fields from saved credentials (keeps what was typed if none)
+async function fillSavedCredentials(uri) {
+  const key = credentialKey(uri);
+  const creds = key ? (await getCredentials())[key] : null;
+  if (!creds) return;
+  sourceForm.querySelectorAll('[data-scheme] [name]').forEach(el => {
+    el.value = el.name === 'headers'
+      ? (creds.headers || []).map(h => `${h.name}: ${h.value}`).join('\n')
+      : creds[el.name] ?? '';
+  });
+}
+
+async function openSourceDialog(uri = '') {
+  sourceForm.reset();
+  sourceError.classList.add('hidden');
+  sourceForm.elements.uri.value = uri;
+  await fillSavedCredentials(uri);
+  updateSourceFields();
+  sourceDialog.showModal();
+}
+
+async function submitSourceDialog() {
+  const uri = sourceForm.elements.uri.value.trim();
+  const key = credentialKey(uri);
+  try {
+    if (!key) throw new Error('Enter an http(s)://, s3://, gs:// or az:// address');
+
+    // Only the fields shown for this scheme are saved
+    const creds = {};
+    const fields = [...sourceForm.querySelectorAll('[data-scheme] [name]')].filter(el => !el.closest('.hidden'));
+    for (const el of fields) {
+      if (el.name === 'headers') {
+        const headers = parseHeaderLines(el.value);
+        if (headers.length > 0) creds.headers = headers;
+      } else if (el.value.trim()) {
+        creds[el.name] = el.value.trim();
       }
     }
+    resolveStorageUri(uri, creds); // Throws for unusable settings, e.g. a bad account name
+    await setCredentials(key, Object.keys(creds).length > 0 ? creds : null);
+  } catch (e) {
+    sourceError.textContent = e.message;
+    sourceError.classList.remove('hidden');
+    return;
+  }
+
+  sourceDialog.close();
+  if (uri === fileUrl) {
+    location.reload(); // Keeps the view state in the hash
+  } else {
+    location.href = `${location.pathname}?url=${encodeURIComponent(uri)}`;
+  }
+}
+
+function setupSourceDialog() {
+  openSourceBtn.onclick = () => openSourceDialog();
+  sourceCancelBtn.onclick = () => sourceDialog.close();
+  sourceForm.elements.uri.addEventListener('input', updateSourceFields);
+  sourceForm.elements.uri.addEventListener('change', (e) => fillSavedCredentials(e.target.value.trim()));
+  sourceForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitSourceDialog();
+  });
+  sourceForgetBtn.onclick = async () => {
+    const key = credentialKey(sourceForm.elements.uri.value.trim());
+    if (key) await setCredentials(key, null);
+    sourceForm.querySelectorAll('[data-scheme] [name]').forEach(el => { el.value = ''; });
+  };
+
+  // "Add credentials" in an access denied error
+  status.addEventListener('click', (e) => {
+    if (e.target.closest('[data-open-source]')) openSourceDialog(fileUrl);
+  });
+}
+
+// === Keyboard Shortcuts ===
+
+function setupKeyboardShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (sourceDialog.open || linkedColumnsDialog.open) return; // Dialogs handle their own keys (Escape closes them)
+
+    // Space/Shift+Space to scroll the table by a page (when not in input/select)
+    if (e.code === 'Space' && !e.target.matches('input, textarea, select')) {
+      e.preventDefault();
+      const page = Math.max(tableDiv.clientHeight - rowHeight * 2, rowHeight);
+      tableDiv.scrollBy(0, e.shiftKey ? -page : page);
+    }
 
-    // Escape: blur input if focused, otherwise close
+    // Escape: blur input if focused, close the drawer if open, otherwise close
     if (e.code === 'Escape') {
       if (e.target.matches('input, textarea, select')) {
         e.target.blur();
+      } else if (!drawer.classList.contains('hidden')) {
+        closeDrawer();
+      } else if (selection) {
+        clearSelection();
       } else {
         window.close();
       }
     }
+
+    if (e.target.matches('input, textarea, select')) return;
+
+    // Up/Down step through rows while one is open in the drawer; otherwise
+    // arrows move the selected cell (Shift extends the selection)
+    const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if ((e.code === 'ArrowUp' || e.code === 'ArrowDown') && detailRow != null) {
+      e.preventDefault();
+      openRowDetail(detailRow + (e.code === 'ArrowUp' ? -1 : 1));
+    } else if (arrows[e.code] && selection) {
+      e.preventDefault();
+      moveSelection(...arrows[e.code], e.shiftKey);
+    }
+
+    // Ctrl/Cmd+C copies the selection as TSV, unless text is selected. Matched
+    // by key rather than code so it follows the keyboard layout.
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'c' && selection && document.getSelection().isCollapsed) {
+      e.preventDefault();
+      copySelection('tsv');
+    }
   });
 }
 
@@ -732,32 +3659,58 @@ function setupKeyboardShortcuts() {
 
 try {
   await initDuckDB();
+  setupHeaderEvents();
   setupClickToCopy();
+  setupSelection();
+  setupVirtualScroll();
+  setupColumnChooser();
+  setupComputedColumns();
+  setupSqlConsole();
+  setupExport();
+  setupFilterBuilder();
+  setupSortBar();
+  setupSearch();
+  setupAggregation();
+  setupCopyLink();
+  setupTabs();
+  setupCompare();
+  setupCharts();
+  drawerClose.onclick = closeDrawer;
+  setupDisplaySettings();
   setupKeyboardShortcuts();
   setupUrlBar();
+  setupSourceDialog();
+  cancelQueryBtn.onclick = cancelQueries;
+  await setupNetworkInspector();
 
   if (fileUrl) {
     status.textContent = `Loading ${fileUrl}...`;
     status.classList.add('loading');
 
-    // Add timeout wrapper for URL loading
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timed out - the server took too long to respond')), TIMEOUT_MS);
-    });
-
+    // Each query is timed out and cancellable (see runQuery), and the
+    // fetches made outside DuckDB time out after TIMEOUT_MS
     try {
-      await Promise.race([loadParquet(fileUrl, true), timeoutPromise]);
+      const readUrl = await resolveReadUrl(fileUrl);
+      // Before the format sniff, so its request is logged too
+      resetNetworkLog(readUrl);
+      await loadSource(fileUrl, true, await detectUrlFormat(fileUrl, readUrl), { readUrl });
+      // viewer.html?url=...&compare=... opens straight into compare mode
+      if (params.get('compare')) {
+        showTab('compare');
+        compareUrlInput.value = params.get('compare');
+        await compareWithUrl();
+      }
     } catch (e) {
       handleError(e);
     }
   } else {
-    status.textContent = 'Drop a .parquet file or open a .parquet URL';
+    status.textContent = 'Drop a Parquet, CSV, JSON or Arrow file, or open one by URL';
+    openSourceBtn.classList.remove('hidden');
     setupDragDrop();
+    setupRecent();
+    await renderRecent();
   }
 
-  moreBtn.onclick = loadMore;
-  loadAllBtn.onclick = loadAll;
-
 } catch (e) {
   handleError(e);
 }
